@@ -0,0 +1,53 @@
+// CSV parsing shared by the site and the catalog tools: the products and contact pages load this
+// before main.js (parseCatalogCSV reads CSV catalog feeds with it), and tools/import-catalog.js
+// requires it.
+
+/**
+ * Split CSV text into rows of fields, honouring quoted fields and "" escapes. Blank lines are
+ * kept as empty rows, so row numbers still match the spreadsheet.
+ */
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseCSV };
+}
@@ -19,18 +19,59 @@ const CONFIG = {
     // Statistics counter
     counterSpeed: 2000,
     
-    // Form validation
+    // Form validation (phone numbers: see parseEgyptianPhone)
     emailRegex: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-    phoneRegex: /^[\+]?[0-9\s\-\(\)]{10,}$/,
     
-    // WhatsApp settings
-    whatsappNumber: '201234567890',
+    // Phone numbers, WhatsApp departments and emails live in SITE_CONFIG (js/site-config.js)
+    
+    // Form submission (see FORM_TRANSPORTS and tools/form-server.js)
+    formEndpoint: '/api/forms',
+    formTransport: 'http',
+    formTimeout: 15000,
+    offlineQueueForms: ['contact', 'order'], // Kept and resent later when they can't be sent now
+    
+    // Products page
+    priceSliderStep: 10,
+    catalogURL: 'data/catalog.json', // JSON feed, or a .csv export of the price sheet
+    priceChangeRecentDays: 30, // Price arrows and badges only flag changes this recent
+    priceHistoryPoints: 8, // Prices shown in the quick view sparkline
+    
+    // Shopping cart
+    cartStorageKey: 'alfahd-cart',
+    deliveryAreaStorageKey: 'alfahd-delivery-area', // Shared by the cart and the order form
+    deliverySlotsURL: 'data/delivery-slots.json', // Orders each delivery window takes (SITE_CONFIG.delivery.windows)
+    deliveryBookingsURL: 'api/delivery-bookings', // Places taken per window, kept by the order backend
     
     // Performance
     debounceDelay: 100,
     throttleDelay: 16
 };
 
+// Units products are sold in; products default to 'kg' and may override the quantities
+const PRODUCT_UNITS = {
+    kg: { label: 'كيلو', minQuantity: 0.5, step: 0.5 },
+    box: { label: 'كرتونة', minQuantity: 1, step: 1 },
+    piece: { label: 'قطعة', minQuantity: 1, step: 1 },
+    pack: { label: 'عبوة', minQuantity: 1, step: 1 }
+};
+
+// Stock states a product can be marked with; products without one are in stock
+const AVAILABILITY_STATUSES = {
+    'in-stock': { label: 'متوفر', badge: null, orderable: true },
+    limited: { label: 'كمية محدودة، اطلب مبكراً', badge: 'كمية محدودة', orderable: true },
+    'out-of-stock': { label: 'غير متوفر حالياً', badge: 'غير متوفر', orderable: false }
+};
+
+// Shown when a product has no photos of its own, or when they fail to load
+const CATEGORY_FALLBACK_IMAGES = {
+    fish: 'images/categories/fish.svg',
+    shrimp: 'images/categories/shrimp.svg',
+    crab: 'images/categories/crab.svg',
+    squid: 'images/categories/squid.svg',
+    other: 'images/categories/other.svg',
+    default: 'images/categories/default.svg'
+};
+
 // Global state management
 const STATE = {
     currentTestimonial: 0,
@@ -142,12 +183,447 @@ function addClassWithAnimation(element, className, delay = 0) {
 }
 
 /**
- * Generate WhatsApp URL
+ * Generate WhatsApp URL for one of the SITE_CONFIG.whatsapp departments
  */
-function generateWhatsAppURL(message = '') {
+function generateWhatsAppURL(message = '', department = 'retail') {
     const baseURL = 'https://wa.me/';
-    const encodedMessage = encodeURIComponent(message);
-    return `${baseURL}${CONFIG.whatsappNumber}${message ? '?text=' + encodedMessage : ''}`;
+    const number = (SITE_CONFIG.whatsapp[department] || SITE_CONFIG.whatsapp.retail).replace(/^\+/, '');
+    const encodedMessage = encodeURIComponent(fitWhatsAppText(message));
+    return `${baseURL}${number}${message ? '?text=' + encodedMessage : ''}`;
+}
+
+/**
+ * Set or remove a query string parameter without adding a history entry
+ */
+function updateURLParam(name, value) {
+    const url = new URL(window.location.href);
+    
+    if (value === null || value === undefined || value === '') {
+        url.searchParams.delete(name);
+    } else {
+        url.searchParams.set(name, value);
+    }
+    
+    window.history.replaceState(window.history.state, '', url);
+}
+
+/**
+ * Build a shareable link that opens a product's quick view
+ */
+function getProductURL(product) {
+    const url = new URL('products.html', window.location.href);
+    url.searchParams.set('p', product.id);
+    return url.toString();
+}
+
+/**
+ * Copy text to the clipboard, falling back to a hidden textarea on older browsers
+ */
+function copyToClipboard(text) {
+    if (navigator.clipboard && window.isSecureContext) {
+        return navigator.clipboard.writeText(text);
+    }
+    
+    return new Promise((resolve, reject) => {
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        
+        const copied = document.execCommand('copy');
+        document.body.removeChild(textarea);
+        copied ? resolve() : reject(new Error('Copy command was rejected'));
+    });
+}
+
+/**
+ * Temporarily replace a button's label to confirm an action
+ */
+function showButtonFeedback(button, text, duration = 2000) {
+    if (!button.dataset.originalText) {
+        button.dataset.originalText = button.textContent;
+    }
+    
+    button.textContent = text;
+    clearTimeout(button.feedbackTimer);
+    button.feedbackTimer = setTimeout(() => {
+        button.textContent = button.dataset.originalText;
+    }, duration);
+}
+
+/**
+ * Resolve the selling unit of a product, applying its own quantity overrides
+ */
+function getProductUnit(product = {}) {
+    const unit = PRODUCT_UNITS[product.unit] ? product.unit : 'kg';
+    const defaults = PRODUCT_UNITS[unit];
+
+    return {
+        unit: unit,
+        label: defaults.label,
+        minQuantity: product.minQuantity || defaults.minQuantity,
+        step: product.step || defaults.step
+    };
+}
+
+/**
+ * A product's volume price breaks, smallest quantity first; the list price applies below them
+ */
+function getPriceTiers(product = {}) {
+    return (product.priceTiers || [])
+        .filter(tier => tier && tier.from > 0 && tier.price > 0)
+        .sort((a, b) => a.from - b.from);
+}
+
+/**
+ * Unit price for an order quantity, from the highest tier the quantity reaches
+ */
+function getTierPrice(product = {}, quantity = 0) {
+    return getPriceTiers(product).reduce((price, tier) => (quantity >= tier.from ? tier.price : price), product.price);
+}
+
+/**
+ * Snap a quantity to the unit's step (avoiding floating point drift), never below its minimum
+ */
+function snapQuantity(quantity, unit) {
+    const snapped = Math.round(quantity / unit.step) * unit.step;
+    return Math.max(unit.minQuantity, Number(snapped.toFixed(2)));
+}
+
+/**
+ * Resolve a product's thumbnail and gallery, falling back to its category image
+ */
+function getProductImages(product = {}) {
+    const fallback = CATEGORY_FALLBACK_IMAGES[product.category] || CATEGORY_FALLBACK_IMAGES.default;
+    const gallery = [product.image, ...(product.gallery || [])].filter(Boolean);
+
+    return {
+        thumbnail: product.image || fallback,
+        gallery: gallery.length ? [...new Set(gallery)] : [fallback],
+        fallback: fallback
+    };
+}
+
+/**
+ * Swap an image to its fallback once if the real file is missing
+ */
+function handleImageFallback(img, fallback) {
+    if (!img || !fallback) return;
+
+    img.addEventListener('error', () => {
+        if (img.dataset.fallbackApplied) return;
+        img.dataset.fallbackApplied = 'true';
+        img.src = fallback;
+    });
+}
+
+/**
+ * Resolve a product's stock status, taking its seasonal window into account
+ */
+function getProductAvailability(product = {}, date = new Date()) {
+    const status = AVAILABILITY_STATUSES[product.availability] ? product.availability : 'in-stock';
+    const availability = { status, ...AVAILABILITY_STATUSES[status] };
+
+    if (!product.season) return availability;
+
+    if (!isInSeason(product.season, date)) {
+        return {
+            status: 'out-of-season',
+            label: `منتج موسمي، يتوفر من ${formatSeasonDate(product.season.from)}`,
+            badge: 'خارج الموسم',
+            orderable: false
+        };
+    }
+
+    // In season, an explicit stock status still takes priority over the seasonal badge
+    return availability.badge ? availability : { ...availability, status: 'seasonal', badge: 'موسمي' };
+}
+
+/**
+ * Check a date against a yearly "MM-DD" window, which may wrap over the new year
+ */
+function isInSeason({ from, to }, date = new Date()) {
+    const today = `${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    return from <= to ? today >= from && today <= to : today >= from || today <= to;
+}
+
+/**
+ * Format a "MM-DD" season boundary, e.g. "1 مارس"
+ */
+function formatSeasonDate(monthDay) {
+    const [month, day] = monthDay.split('-').map(Number);
+    return new Date(2000, month - 1, day).toLocaleDateString('ar-EG', { day: 'numeric', month: 'long' });
+}
+
+/**
+ * Compare a product's price with the one before its last change (null if it never changed)
+ */
+function getPriceTrend(product = {}) {
+    const history = (product.priceHistory || []).filter(entry => entry && entry.price > 0);
+
+    // The history ends with the current price; walk back to the last different one
+    let index = history.length - 1;
+    while (index >= 0 && history[index].price === product.price) index--;
+    if (index < 0) return null;
+
+    const previous = history[index].price;
+    const changedOn = history[index + 1] ? history[index + 1].date : null;
+    const daysAgo = changedOn ? (Date.now() - new Date(changedOn).getTime()) / 86400000 : Infinity;
+
+    return {
+        previous,
+        change: product.price - previous,
+        percent: Math.round(((product.price - previous) / previous) * 100),
+        direction: product.price > previous ? 'up' : 'down',
+        changedOn,
+        isRecent: daysAgo <= CONFIG.priceChangeRecentDays
+    };
+}
+
+/**
+ * Draw the last few prices of a product as an inline SVG sparkline
+ */
+function renderSparkline(history, width = 240, height = 60) {
+    const points = history.slice(-CONFIG.priceHistoryPoints);
+    if (points.length < 2) return '';
+
+    const prices = points.map(point => point.price);
+    const min = Math.min(...prices);
+    const span = (Math.max(...prices) - min) || 1;
+    const padding = 6;
+
+    const coordinates = points.map((point, index) => ({
+        x: padding + (index / (points.length - 1)) * (width - padding * 2),
+        y: padding + (1 - (point.price - min) / span) * (height - padding * 2),
+        point
+    }));
+    const line = coordinates.map(({ x, y }) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+
+    return `
+        <svg class="sparkline" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="تغير السعر">
+            <polyline points="${line}" fill="none" stroke="currentColor" stroke-width="2" stroke-linejoin="round" stroke-linecap="round"/>
+            ${coordinates.map(({ x, y, point }) => `
+                <circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="3"><title>${point.date || ''}: ${formatPrice(point.price)}</title></circle>
+            `).join('')}
+        </svg>
+    `;
+}
+
+/**
+ * Convert Arabic-Indic and Persian digits to ASCII digits
+ */
+function toLatinDigits(text = '') {
+    return String(text)
+        .replace(/[٠-٩]/g, digit => digit.charCodeAt(0) - 0x0660)
+        .replace(/[۰-۹]/g, digit => digit.charCodeAt(0) - 0x06F0);
+}
+
+/**
+ * Format a quantity with its unit label, e.g. "2 كرتونة"
+ */
+function formatQuantity(quantity, product) {
+    return `${quantity} ${getProductUnit(product).label}`;
+}
+
+/**
+ * Escape text for use inside HTML markup and attribute values
+ */
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format an amount in Egyptian pounds
+ */
+function formatPrice(amount) {
+    const rounded = Math.round((Number(amount) || 0) * 100) / 100;
+    return `${rounded} جنيه`;
+}
+
+// ==========================================================================
+// WHATSAPP MESSAGE TEMPLATES
+// ==========================================================================
+
+// Texts prefilled in wa.me links, per page language (<html lang>, Arabic when not listed).
+// Placeholders are {name}, or {name:price} for an amount in the language's currency, {name:fee}
+// for one that reads "free" at 0, {name:time} for an "HH:MM" time and {name:weekday} for the day
+// name of a "YYYY-MM-DD" date. Array values become one line each, and a line whose placeholders
+// are all empty is left out.
+const MESSAGE_TEMPLATES = {
+    ar: {
+        dir: 'rtl',
+        currency: 'جنيه',
+        free: 'مجاني',
+        clock: ['ص', 'م'],
+        templates: {
+            productInquiry: 'أهلاً، أريد الاستفسار عن منتج: {product}',
+            stockAlert: 'أهلاً، أرجو إبلاغي على واتساب عند توفر منتج: {product}',
+            orderLine: '{index}. {product} - {quantity} × {price:price}{tierNote} = {subtotal:price}',
+            wholesaleNote: ' (سعر الجملة)',
+            moreItems: '… و{count} منتجات أخرى',
+            field: '{label}: {value}',
+            orderRequest: 'أهلاً، أريد طلب المنتجات التالية:\n\n{items}\n\nالمنتجات: {subtotal:price}\nالتوصيل لـ{area}: {deliveryFee:fee}\nالإجمالي: {total:price}\nالوصول المتوقع: {eta}',
+            orderForm: 'أهلاً، أنا {customer} وأريد طلب المنتجات التالية:\n\n{items}\n\nالمنتجات: {subtotal:price}\nالتوصيل لـ{area}: {deliveryFee:fee}\nالإجمالي: {total:price}\nالعنوان: {address}\nموعد التوصيل: {slot}\nالوصول المتوقع: {eta}\n\n{details}',
+            contactRequest: 'أهلاً، أريد التواصل معكم:\n\n{details}',
+            etaToday: 'اليوم بين {from:time} و{to:time}',
+            etaTomorrow: 'غداً بين {from:time} و{to:time}',
+            etaLater: 'يوم {day:weekday} بين {from:time} و{to:time}'
+        }
+    },
+    en: {
+        dir: 'ltr',
+        currency: 'EGP',
+        free: 'free',
+        clock: ['AM', 'PM'],
+        templates: {
+            productInquiry: 'Hello, I would like to ask about: {product}',
+            stockAlert: 'Hello, please let me know on WhatsApp when {product} is back in stock',
+            orderLine: '{index}. {product} - {quantity} × {price:price}{tierNote} = {subtotal:price}',
+            wholesaleNote: ' (wholesale price)',
+            moreItems: '… and {count} more items',
+            field: '{label}: {value}',
+            orderRequest: 'Hello, I would like to order:\n\n{items}\n\nSubtotal: {subtotal:price}\nDelivery to {area}: {deliveryFee:fee}\nTotal: {total:price}\nExpected delivery: {eta}',
+            orderForm: 'Hello, this is {customer}. I would like to order:\n\n{items}\n\nSubtotal: {subtotal:price}\nDelivery to {area}: {deliveryFee:fee}\nTotal: {total:price}\nAddress: {address}\nDelivery time: {slot}\nExpected delivery: {eta}\n\n{details}',
+            contactRequest: 'Hello, I would like to get in touch:\n\n{details}',
+            etaToday: 'today between {from:time} and {to:time}',
+            etaTomorrow: 'tomorrow between {from:time} and {to:time}',
+            etaLater: 'on {day:weekday} between {from:time} and {to:time}'
+        }
+    }
+};
+
+// Longer links get cut off by some browsers and by WhatsApp itself. Arabic text triples
+// in length once URL-encoded, so the budget is for the encoded text after "?text=".
+const WHATSAPP_URL_MAX_LENGTH = 2000;
+const WHATSAPP_TEXT_MAX_LENGTH = WHATSAPP_URL_MAX_LENGTH - 'https://wa.me/?text='.length - 15;
+
+// Left-to-right marks keep "+20…" phone numbers and "2-3" ranges in order inside Arabic text;
+// plain numbers already display correctly and are left alone
+const LTR_MARK = '\u200E';
+const NUMERIC_VALUE_REGEX = /^[+-]?\d[\d\s.,:\/+-]*$/;
+const PLAIN_NUMBER_REGEX = /^\d+(\.\d+)?$/;
+
+function getMessageLanguage() {
+    const lang = (document.documentElement.lang || '').split('-')[0];
+    return MESSAGE_TEMPLATES[lang] ? lang : 'ar';
+}
+
+function getEncodedLength(text) {
+    return encodeURIComponent(text).length;
+}
+
+/**
+ * Format one placeholder value for a language
+ */
+function formatMessageValue(value, format, language) {
+    const { currency, dir, free, clock } = MESSAGE_TEMPLATES[language];
+
+    if (format === 'price' || format === 'fee') {
+        const rounded = Math.round((Number(value) || 0) * 100) / 100;
+        return format === 'fee' && rounded === 0 ? free : `${rounded} ${currency}`;
+    }
+    if (format === 'time') {
+        return formatClock(value, clock);
+    }
+    if (format === 'weekday') {
+        return new Intl.DateTimeFormat(language, { weekday: 'long', timeZone: 'UTC' }).format(new Date(`${value}T00:00:00Z`));
+    }
+
+    const text = String(value).trim();
+    const needsMarks = dir === 'rtl' && NUMERIC_VALUE_REGEX.test(text) && !PLAIN_NUMBER_REGEX.test(text);
+    return needsMarks ? `${LTR_MARK}${text}${LTR_MARK}` : text;
+}
+
+function fillTemplate(template, values, language) {
+    return template.split('\n')
+        .map(line => {
+            let hasPlaceholder = false;
+            let hasValue = false;
+
+            const text = line.replace(/\{(\w+)(?::(\w+))?\}/g, (match, key, format) => {
+                hasPlaceholder = true;
+                const value = values[key];
+                if (value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length)) {
+                    return '';
+                }
+
+                hasValue = true;
+                return Array.isArray(value)
+                    ? value.map(entry => formatMessageValue(entry, format, language)).join('\n')
+                    : formatMessageValue(value, format, language);
+            });
+
+            return hasPlaceholder && !hasValue ? null : text;
+        })
+        .filter(line => line !== null)
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Render a named message template (MESSAGE_TEMPLATES). When the text would make the wa.me link
+ * too long, the order lines in `items` are cut short with a "… and N more" line so the total
+ * and customer details still fit.
+ */
+function renderMessage(name, values = {}, language = getMessageLanguage()) {
+    const template = (MESSAGE_TEMPLATES[language] || MESSAGE_TEMPLATES.ar).templates[name] || MESSAGE_TEMPLATES.ar.templates[name];
+    if (!template) {
+        throw new Error(`Unknown message template: ${name}`);
+    }
+
+    const items = Array.isArray(values.items) ? values.items : [];
+    let message = fillTemplate(template, values, language);
+
+    for (let shown = items.length - 1; shown > 0 && getEncodedLength(message) > WHATSAPP_TEXT_MAX_LENGTH; shown--) {
+        const more = renderMessage('moreItems', { count: items.length - shown }, language);
+        message = fillTemplate(template, { ...values, items: [...items.slice(0, shown), more] }, language);
+    }
+
+    return message;
+}
+
+/**
+ * Last-resort length guard for free text: cut whole lines, then characters, and mark the cut
+ */
+function fitWhatsAppText(message, maxLength = WHATSAPP_TEXT_MAX_LENGTH) {
+    if (getEncodedLength(message) <= maxLength) return message;
+
+    const budget = maxLength - getEncodedLength('\n…');
+    const lines = message.split('\n');
+    while (lines.length > 1 && getEncodedLength(lines.join('\n')) > budget) {
+        lines.pop();
+    }
+
+    let text = '';
+    for (const char of lines.join('\n')) {
+        if (getEncodedLength(text + char) > budget) break;
+        text += char;
+    }
+    return `${text.trim()}\n…`;
+}
+
+/**
+ * One numbered line of an order message; items are cart-shaped (price, priceTiers, quantity and unit)
+ */
+function formatOrderLine(item, index, language = getMessageLanguage()) {
+    const unitPrice = getTierPrice(item, item.quantity);
+    return renderMessage('orderLine', {
+        index: index + 1,
+        product: item.name,
+        quantity: formatQuantity(item.quantity, item),
+        price: unitPrice,
+        tierNote: unitPrice < item.price ? renderMessage('wholesaleNote', {}, language) : '',
+        subtotal: unitPrice * item.quantity
+    }, language);
 }
 
 // ==========================================================================
@@ -570,331 +1046,3091 @@ class StatisticsCounter {
 }
 
 // ==========================================================================
-// PRODUCTS FILTER (For Products Page)
+// ARABIC SEARCH NORMALIZATION
 // ==========================================================================
 
-class ProductsFilter {
-    constructor(products) {
-        this.allProducts = products || [];
-        this.fuse = null;
+// Latin and Franco-Arabic spellings customers type for catalog words.
+// Keys are matched against normalized product names, so spelling variants don't matter.
+const SEARCH_ALIASES = {
+    'جمبري': ['shrimp', 'prawn', 'gambary', 'gambari', 'gambery', 'gamberi'],
+    'سالمون': ['salmon', 'salamon'],
+    'كاليماري': ['calamari', 'kalimari', 'kalamari', 'squid'],
+    'سبيط': ['cuttlefish', 'sobeit', 'sobeet', 'sepia'],
+    'اخطبوط': ['octopus', 'okhtabot', 'akhtaboot'],
+    'كابوريا': ['crab', 'kaboria', 'kabouria'],
+    'كراب': ['crab'],
+    'استاكوزا': ['lobster', 'estakoza', 'astakoza'],
+    'تونه': ['tuna', 'tona'],
+    'بلطي': ['tilapia', 'bolti', 'bolty'],
+    'بوري': ['mullet', 'bouri', 'boury'],
+    'بربوني': ['red mullet', 'barbouni', 'barbony'],
+    'دنيس': ['sea bream', 'denis', 'dennis'],
+    'قاروص': ['sea bass', 'karous', 'qarous'],
+    'سي باص': ['sea bass', 'seabass'],
+    'سردين': ['sardine', 'sardines'],
+    'مكريل': ['mackerel', 'makarel'],
+    'رنجه': ['herring', 'renga', 'ringa'],
+    'فسيخ': ['fesikh', 'feseekh', 'fesekh'],
+    'هامور': ['grouper', 'hamour'],
+    'موسي': ['sole', 'mousa', 'mosa'],
+    'بلح بحر': ['mussels', 'balah bahr'],
+    'كفيار': ['caviar', 'kavyar'],
+    'بطارخ': ['bottarga', 'batarekh', 'roe'],
+    'سكالوب': ['scallops', 'scallop'],
+    'انشوجا': ['anchovy', 'anshoga'],
+    'ثعابين': ['eel', 'eels'],
+    'باسا': ['basa', 'pangasius'],
+    'فيليه': ['fillet', 'filet', 'fileh'],
+    'لحم': ['meat', 'peeled'],
+    'قشر': ['shell', 'unpeeled'],
+    'ديل': ['tail'],
+    'فريش': ['fresh'],
+    'ملح': ['salt']
+};
 
-        this.filterBtns = document.querySelectorAll('.filter-btn');
-        this.productsGrid = document.getElementById('products-grid');
-        this.searchInput = document.getElementById('search-input');
-        this.suggestionsContainer = document.getElementById('suggestions-container');
+/**
+ * Normalize Arabic text so spelling variants compare equal:
+ * strips tashkeel/tatweel, unifies alef, yaa and taa marbuta forms, and
+ * converts Arabic-Indic digits
+ */
+function normalizeArabic(text = '') {
+    return toLatinDigits(text)
+        .replace(/[ً-ٰٟـ]/g, '')
+        .replace(/[أإآٱ]/g, 'ا')
+        .replace(/ى/g, 'ي')
+        .replace(/ئ/g, 'ي')
+        .replace(/ؤ/g, 'و')
+        .replace(/ة/g, 'ه')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
 
-        this.currentCategory = 'all';
-        this.currentSearchTerm = '';
+/**
+ * Build normalized search records (name plus transliteration aliases) for Fuse
+ */
+function buildSearchIndex(products) {
+    const aliasEntries = Object.entries(SEARCH_ALIASES)
+        .map(([word, aliases]) => [normalizeArabic(word), aliases]);
 
-        this.init();
-    }
+    return products.map(product => {
+        const name = normalizeArabic(product.name);
+        const aliases = aliasEntries
+            .filter(([word]) => name.includes(word))
+            .flatMap(([, words]) => words);
 
-    init() {
-        if (!this.productsGrid || typeof Fuse === 'undefined') return;
+        return { product, name, aliases };
+    });
+}
 
-        const options = {
-            keys: ['name'],
-            includeScore: true,
-            threshold: 0.4,
-        };
-        this.fuse = new Fuse(this.allProducts, options);
+// Names and queries are both normalized, so Fuse only sees one spelling
+const PRODUCT_SEARCH_OPTIONS = {
+    keys: [
+        { name: 'name', weight: 2 },
+        { name: 'aliases', weight: 1 }
+    ],
+    includeScore: true,
+    threshold: 0.4,
+};
 
-        this.setupEventListeners();
-        this.renderProducts(this.allProducts);
-    }
+// ==========================================================================
+// SHRIMP SIZE GRADES
+// ==========================================================================
 
-    setupEventListeners() {
-        // Category filter buttons
-        this.filterBtns.forEach(btn => {
-            btn.addEventListener('click', () => {
-                this.currentCategory = btn.dataset.category;
-                this.updateActiveFilter(btn);
-                this.filterAndRender();
-            });
-        });
+// Size classes by pieces per pound, checked in order against the grade's midpoint
+const SHRIMP_SIZE_CLASSES = [
+    { id: 'jumbo', label: 'جامبو', maxCount: 15 },
+    { id: 'large', label: 'كبير', maxCount: 30 },
+    { id: 'medium', label: 'وسط', maxCount: 60 },
+    { id: 'small', label: 'صغير', maxCount: Infinity }
+];
 
-        // Search input
-        if (this.searchInput) {
-            this.searchInput.addEventListener('input', (e) => {
-                this.currentSearchTerm = e.target.value.trim();
-                this.handleSearchInput();
-            });
+const POUNDS_PER_KILO = 2.2046;
 
-            // Hide suggestions when clicking outside
-            document.addEventListener('click', (e) => {
-                if (!this.searchInput.contains(e.target)) {
-                    this.hideSuggestions();
-                }
-            });
-        }
-    }
+/**
+ * Parse the count-per-pound grade from a shrimp name, e.g. "20/16" or "U15".
+ * Returns null when the name carries no grade.
+ */
+function parseSizeGrade(name) {
+    const text = normalizeArabic(name);
+    const range = text.match(/(\d+)\s*\/\s*(\d+)/);
+    const under = text.match(/u\s*\/?\s*(\d+)/);
 
-    handleSearchInput() {
-        if (this.currentSearchTerm.length < 1) {
-            this.hideSuggestions();
-            this.filterAndRender();
-            return;
-        }
+    let minCount = null;
+    let maxCount;
 
-        const searchResults = this.fuse.search(this.currentSearchTerm).slice(0, 5);
-        this.displaySuggestions(searchResults.map(result => result.item));
-        this.filterAndRender();
+    if (range) {
+        // Names mix "20/16" and "8/12", so order the bounds ourselves
+        minCount = Math.min(Number(range[1]), Number(range[2]));
+        maxCount = Math.max(Number(range[1]), Number(range[2]));
+    } else if (under) {
+        maxCount = Number(under[1]);
+    } else {
+        return null;
     }
 
-    displaySuggestions(suggestions) {
-        if (!this.suggestionsContainer) return;
+    const midpoint = minCount ? (minCount + maxCount) / 2 : maxCount;
+    const sizeClass = SHRIMP_SIZE_CLASSES.find(size => midpoint <= size.maxCount);
 
-        if (suggestions.length === 0) {
-            this.hideSuggestions();
-            return;
-        }
+    return {
+        minCount: minCount,
+        maxCount: maxCount,
+        label: minCount ? `${minCount}-${maxCount}` : `U${maxCount}`,
+        sizeClass: sizeClass.id,
+        sizeLabel: sizeClass.label
+    };
+}
 
-        this.suggestionsContainer.innerHTML = '';
-        suggestions.forEach(suggestion => {
-            const item = document.createElement('div');
-            item.className = 'suggestion-item';
-            item.textContent = suggestion.name;
-            item.addEventListener('click', () => {
-                this.searchInput.value = suggestion.name;
-                this.currentSearchTerm = suggestion.name;
-                this.hideSuggestions();
-                this.filterAndRender();
-            });
-            this.suggestionsContainer.appendChild(item);
-        });
-        this.suggestionsContainer.classList.add('active');
-    }
+/**
+ * Describe a grade for display, with the per-kilo equivalent
+ */
+function describeSizeGrade(grade) {
+    const perKilo = count => Math.round(count * POUNDS_PER_KILO);
 
-    hideSuggestions() {
-        if (!this.suggestionsContainer) return;
-        this.suggestionsContainer.classList.remove('active');
+    if (!grade.minCount) {
+        return `${grade.sizeLabel} · أقل من ${grade.maxCount} حبة/رطل (≈ أقل من ${perKilo(grade.maxCount)} حبة/كيلو)`;
     }
 
-    filterAndRender() {
-        let filteredProducts = this.allProducts;
+    return `${grade.sizeLabel} · ${grade.minCount}-${grade.maxCount} حبة/رطل (≈ ${perKilo(grade.minCount)}-${perKilo(grade.maxCount)} حبة/كيلو)`;
+}
 
-        // Filter by category
-        if (this.currentCategory !== 'all') {
+// ==========================================================================
+// PRODUCT VARIANTS
+// ==========================================================================
+
+// Picker labels for the option keys used in productGroups[].options
+const VARIANT_OPTION_LABELS = {
+    cut: 'النوع',
+    size: 'المقاس',
+    skin: 'الجلد',
+    state: 'الحالة',
+    origin: 'المنشأ'
+};
+
+/**
+ * Collapse catalog rows into grid entries; rows of the same group share one entry
+ */
+function groupProductVariants(products, groups) {
+    const entries = [];
+    const entriesByGroup = new Map();
+
+    products.forEach(product => {
+        const group = product.group && groups.get(product.group);
+        if (!group) {
+            entries.push({ group: null, variants: [product] });
+            return;
+        }
+
+        let entry = entriesByGroup.get(group.id);
+        if (!entry) {
+            entry = { group, variants: [] };
+            entriesByGroup.set(group.id, entry);
+            entries.push(entry);
+        }
+        entry.variants.push(product);
+    });
+
+    return entries;
+}
+
+class VariantSelector {
+    constructor(group, variants, onChange) {
+        this.options = group.options || [];
+        this.variants = variants;
+        this.onChange = onChange;
+        this.selection = {};
+        this.selected = null;
+
+        this.element = document.createElement('div');
+        this.element.className = 'variant-options';
+        this.selects = this.options.map(option => this.createSelect(option));
+
+        this.select(variants[0]);
+    }
+
+    createSelect(option) {
+        const field = document.createElement('label');
+        field.className = 'variant-option';
+
+        const label = document.createElement('span');
+        label.textContent = VARIANT_OPTION_LABELS[option] || option;
+
+        const select = document.createElement('select');
+        select.dataset.option = option;
+        select.addEventListener('change', () => {
+            this.selection[option] = select.value;
+            this.refresh();
+            this.onChange(this.selected);
+        });
+
+        field.append(label, select);
+        this.element.appendChild(field);
+        return select;
+    }
+
+    select(variant) {
+        this.selection = { ...(variant && variant.variant) };
+        this.refresh();
+    }
+
+    refresh() {
+        // Each picker only offers values available with the choices before it
+        // (every shrimp cut has its own sizes); pickers no variant uses are hidden
+        let candidates = this.variants;
+
+        this.options.forEach((option, index) => {
+            const select = this.selects[index];
+            const values = [...new Set(candidates.map(variant => variant.variant?.[option]).filter(Boolean))];
+
+            select.parentElement.hidden = values.length === 0;
+            if (values.length === 0) {
+                delete this.selection[option];
+                return;
+            }
+
+            if (!values.includes(this.selection[option])) {
+                this.selection[option] = values[0];
+            }
+
+            select.replaceChildren(...values.map(value => new Option(value, value)));
+            select.value = this.selection[option];
+            candidates = candidates.filter(variant => variant.variant?.[option] === this.selection[option]);
+        });
+
+        this.selected = candidates[0] || this.variants[0];
+    }
+}
+
+// ==========================================================================
+// CATALOG LOADING
+// ==========================================================================
+
+const CATALOG_CATEGORIES = ['fish', 'shrimp', 'crab', 'squid', 'other'];
+
+// Field rules for feed products; anything not listed is passed through untouched
+const CATALOG_SCHEMA = {
+    id: { type: 'string' },
+    name: { type: 'string', required: true },
+    category: { type: 'string', required: true, values: CATALOG_CATEGORIES },
+    price: { type: 'number', required: true, positive: true },
+    unit: { type: 'string', values: Object.keys(PRODUCT_UNITS) },
+    minQuantity: { type: 'number', positive: true },
+    step: { type: 'number', positive: true },
+    priceTiers: { type: 'array' },
+    image: { type: 'string' },
+    gallery: { type: 'array' },
+    group: { type: 'string' },
+    variant: { type: 'object' },
+    availability: { type: 'string', values: Object.keys(AVAILABILITY_STATUSES) },
+    season: { type: 'object' },
+    priceHistory: { type: 'array' }
+};
+
+// Spreadsheet columns, in export order. `gallery` lists paths separated by "|",
+// `variant` is written as "cut=قشر|size=20/16", `season` as "03-01..05-15"
+// and `priceTiers` as "10=360|50=340".
+const CATALOG_CSV_COLUMNS = [
+    'id', 'name', 'category', 'price', 'unit', 'minQuantity', 'step',
+    'image', 'gallery', 'group', 'variant', 'availability', 'season', 'priceTiers'
+];
+
+/**
+ * List the schema violations of one catalog product (empty when valid)
+ */
+function validateCatalogProduct(product) {
+    if (!product || typeof product !== 'object') return ['not an object'];
+
+    return Object.entries(CATALOG_SCHEMA).flatMap(([field, rule]) => {
+        const value = product[field];
+        if (value === undefined || value === null || value === '') {
+            return rule.required ? [`${field} is required`] : [];
+        }
+
+        const type = Array.isArray(value) ? 'array' : typeof value;
+        if (type !== rule.type) return [`${field} must be a ${rule.type}`];
+        if (rule.positive && !(value > 0)) return [`${field} must be positive`];
+        if (rule.values && !rule.values.includes(value)) return [`${field} "${value}" is not one of ${rule.values.join(', ')}`];
+        return [];
+    });
+}
+
+/**
+ * Turn a price sheet export into catalog products; the header row names the columns
+ */
+function parseCatalogCSV(text) {
+    // parseCSV (js/csv.js) keeps blank lines, which spreadsheets like to leave at the end
+    const [header = [], ...rows] = parseCSV(text.replace(/^\uFEFF/, '')).filter(cells => cells.some(cell => cell.trim()));
+    const columns = header.map(name => name.trim());
+
+    const missing = ['name', 'category', 'price'].filter(name => !columns.includes(name));
+    if (missing.length > 0) {
+        throw new Error(`CSV is missing the ${missing.join(', ')} column(s)`);
+    }
+
+    return rows.map(cells => {
+        const product = {};
+
+        columns.forEach((column, index) => {
+            const value = (cells[index] || '').trim();
+            if (!value || !CATALOG_CSV_COLUMNS.includes(column)) return;
+
+            switch (column) {
+                case 'price':
+                case 'minQuantity':
+                case 'step':
+                    product[column] = Number(value);
+                    break;
+                case 'gallery':
+                    product.gallery = value.split('|').map(path => path.trim()).filter(Boolean);
+                    break;
+                case 'variant':
+                    product.variant = Object.fromEntries(value.split('|').map(pair => pair.split('=').map(part => part.trim())));
+                    break;
+                case 'priceTiers':
+                    product.priceTiers = value.split('|').map(pair => {
+                        const [from, price] = pair.split('=').map(Number);
+                        return { from, price };
+                    });
+                    break;
+                case 'season': {
+                    const [from, to] = value.split('..').map(part => part.trim());
+                    product.season = { from, to };
+                    break;
+                }
+                default:
+                    product[column] = value;
+            }
+        });
+
+        return product;
+    });
+}
+
+// Posted by sw.js after its background refresh finds a newer catalog than the cached one it served
+const CATALOG_UPDATED_MESSAGE = 'catalog-updated';
+
+class CatalogLoader {
+    constructor(url) {
+        this.url = url;
+    }
+
+    load() {
+        if (!this.url || typeof fetch === 'undefined') {
+            return Promise.reject(new Error('Catalog feed is not available'));
+        }
+
+        // Always revalidate so a newly published price list shows up on the next visit
+        return fetch(this.url, { cache: 'no-cache' })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Catalog request failed with status ${response.status}`);
+                }
+                return response.text();
+            })
+            .then(text => this.parse(text))
+            .then(catalog => this.validate(catalog));
+    }
+
+    parse(text) {
+        if (/\.csv(\?|$)/i.test(this.url)) {
+            return { version: null, products: parseCatalogCSV(text), groups: null };
+        }
+
+        const data = JSON.parse(text);
+        // A bare array is accepted as an unversioned product list
+        return Array.isArray(data)
+            ? { version: null, products: data, groups: null }
+            : { version: data.version || null, products: data.products, groups: data.groups || null };
+    }
+
+    validate(catalog) {
+        if (!Array.isArray(catalog.products)) {
+            throw new Error('Catalog has no products list');
+        }
+
+        const rejected = [];
+        const products = catalog.products.filter((product, index) => {
+            const errors = validateCatalogProduct(product);
+            if (errors.length > 0) {
+                rejected.push(`#${index + 1} ${product && product.name || ''}: ${errors.join('; ')}`);
+            }
+            return errors.length === 0;
+        });
+
+        if (rejected.length > 0) {
+            console.warn(`Skipping ${rejected.length} invalid catalog product(s):`, rejected);
+        }
+        if (products.length === 0) {
+            throw new Error('Catalog has no valid products');
+        }
+
+        return { ...catalog, products };
+    }
+}
+
+// ==========================================================================
+// PRODUCTS FILTER (For Products Page)
+// ==========================================================================
+
+class ProductsFilter {
+    constructor(products, imageOptimizer = null, groups = []) {
+        // The bundled catalog is shown whenever the price feed can't be loaded
+        this.bundledCatalog = { version: null, products: products || [], groups };
+        this.catalogLoader = new CatalogLoader(CONFIG.catalogURL);
+        this.catalogVersion = null;
+        this.isLoaded = false;
+        this.ready = Promise.resolve();
+
+        this.groups = new Map();
+        this.allProducts = [];
+        this.imageOptimizer = imageOptimizer;
+        this.fuse = null;
+
+        this.filterBtns = document.querySelectorAll('.filter-btn');
+        this.productsGrid = document.getElementById('products-grid');
+        this.searchInput = document.getElementById('search-input');
+        this.suggestionsContainer = document.getElementById('suggestions-container');
+        this.sortSelect = document.getElementById('sort-select');
+        this.sizeFilter = document.getElementById('size-filter');
+        this.sizeBtns = document.querySelectorAll('.size-btn');
+        this.priceMinInput = document.getElementById('price-min');
+        this.priceMaxInput = document.getElementById('price-max');
+        this.priceRangeLabel = document.getElementById('price-range-label');
+        this.priceSlider = document.querySelector('.price-slider');
+
+        this.currentCategory = 'all';
+        this.currentSearchTerm = '';
+        this.currentSort = 'default';
+        this.currentSize = 'all';
+        this.isEditingSearch = false;
+
+        // Slider bounds come from the catalog itself, once it has loaded
+        this.priceBounds = { min: 0, max: 0 };
+        this.priceRange = { ...this.priceBounds };
+
+        this.collator = new Intl.Collator('ar');
+
+        // Query string keys owned by the filter state (see getStateParams)
+        this.urlParams = ['category', 'q', 'sort', 'min', 'max', 'size'];
+
+        this.init();
+    }
+
+    init() {
+        if (!this.productsGrid || typeof Fuse === 'undefined') return;
+
+        this.setupEventListeners();
+
+        // The skeleton cards in #products-grid stay up until the catalog arrives
+        this.productsGrid.setAttribute('aria-busy', 'true');
+        this.ready = this.catalogLoader.load()
+            .catch(error => {
+                console.warn('Could not load the catalog feed, using the bundled catalog instead:', error);
+                return this.bundledCatalog;
+            })
+            .then(catalog => this.setCatalog(catalog));
+
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (e) => {
+                if (e.data && e.data.type === CATALOG_UPDATED_MESSAGE) {
+                    this.reloadCatalog();
+                }
+            });
+        }
+    }
+
+    reloadCatalog() {
+        // The worker has already cached the new price list, so this load gets it
+        this.ready = this.ready
+            .then(() => this.catalogLoader.load())
+            .then(catalog => this.setCatalog(catalog))
+            .catch(error => console.warn('Could not load the updated catalog:', error));
+    }
+
+    setCatalog(catalog) {
+        // CSV exports carry no group definitions, so they borrow the bundled ones
+        const groups = catalog.groups || this.bundledCatalog.groups || [];
+        this.groups = new Map(groups.map(group => [group.id, group]));
+        this.allProducts = this.validateProducts(catalog.products);
+        this.catalogVersion = catalog.version;
+        this.isLoaded = true;
+
+        this.searchIndex = buildSearchIndex(this.allProducts);
+        this.fuse = new Fuse(this.searchIndex, PRODUCT_SEARCH_OPTIONS);
+
+        this.priceBounds = this.getPriceBounds();
+        this.setupPriceSlider();
+        this.readStateFromURL();
+        this.productsGrid.removeAttribute('aria-busy');
+        this.filterAndRender();
+
+        // Items already in the cart pick up the loaded prices
+        if (window.cartManager) {
+            window.cartManager.syncPrices(this.allProducts);
+            window.cartManager.render();
+        }
+    }
+
+    getPriceBounds() {
+        const prices = this.allProducts.map(product => product.price).filter(price => !isNaN(price));
+        if (prices.length === 0) return { min: 0, max: 0 };
+
+        // Round outwards to the slider step so every product stays reachable
+        const step = CONFIG.priceSliderStep;
+        return {
+            min: Math.floor(Math.min(...prices) / step) * step,
+            max: Math.ceil(Math.max(...prices) / step) * step
+        };
+    }
+
+    setupPriceSlider() {
+        [this.priceMinInput, this.priceMaxInput].forEach(input => {
+            if (!input) return;
+            input.min = this.priceBounds.min;
+            input.max = this.priceBounds.max;
+            input.step = CONFIG.priceSliderStep;
+        });
+    }
+
+    clampPrice(value, fallback) {
+        const price = parseFloat(value);
+        if (isNaN(price)) return fallback;
+        return Math.min(this.priceBounds.max, Math.max(this.priceBounds.min, price));
+    }
+
+    updatePriceSlider() {
+        const { min, max } = this.priceRange;
+
+        if (this.priceMinInput) this.priceMinInput.value = min;
+        if (this.priceMaxInput) this.priceMaxInput.value = max;
+
+        if (this.priceRangeLabel) {
+            this.priceRangeLabel.textContent = `${min} - ${formatPrice(max)}`;
+        }
+
+        // Colour the track between the two handles
+        if (this.priceSlider) {
+            const span = (this.priceBounds.max - this.priceBounds.min) || 1;
+            this.priceSlider.style.setProperty('--range-start', `${((min - this.priceBounds.min) / span) * 100}%`);
+            this.priceSlider.style.setProperty('--range-end', `${((max - this.priceBounds.min) / span) * 100}%`);
+        }
+    }
+
+    handlePriceInput(changedInput) {
+        let min = this.clampPrice(this.priceMinInput.value, this.priceBounds.min);
+        let max = this.clampPrice(this.priceMaxInput.value, this.priceBounds.max);
+
+        // Don't let the handles cross; the one being dragged stops at the other
+        if (min > max) {
+            if (changedInput === this.priceMinInput) {
+                min = max;
+            } else {
+                max = min;
+            }
+        }
+
+        this.priceRange = { min, max };
+        this.updatePriceSlider();
+        this.filterAndRender();
+    }
+
+    readStateFromURL() {
+        const params = new URLSearchParams(window.location.search);
+
+        const category = params.get('category');
+        const isKnownCategory = [...this.filterBtns].some(btn => btn.dataset.category === category);
+        this.currentCategory = isKnownCategory ? category : 'all';
+        this.currentSearchTerm = (params.get('q') || '').trim();
+
+        const sort = params.get('sort');
+        const isKnownSort = this.sortSelect && [...this.sortSelect.options].some(option => option.value === sort);
+        this.currentSort = isKnownSort ? sort : 'default';
+
+        const size = params.get('size');
+        const isKnownSize = SHRIMP_SIZE_CLASSES.some(sizeClass => sizeClass.id === size);
+        this.currentSize = isKnownSize && this.currentCategory === 'shrimp' ? size : 'all';
+
+        const min = this.clampPrice(params.get('min'), this.priceBounds.min);
+        const max = this.clampPrice(params.get('max'), this.priceBounds.max);
+        this.priceRange = min <= max ? { min, max } : { ...this.priceBounds };
+
+        // Reflect the restored state in the controls
+        const activeBtn = [...this.filterBtns].find(btn => btn.dataset.category === this.currentCategory);
+        if (activeBtn) {
+            this.updateActiveFilter(activeBtn);
+        }
+
+        if (this.searchInput) {
+            this.searchInput.value = this.currentSearchTerm;
+        }
+
+        if (this.sortSelect) {
+            this.sortSelect.value = this.currentSort;
+        }
+
+        this.updateSizeFilter();
+        this.updatePriceSlider();
+    }
+
+    updateSizeFilter() {
+        // The size facet only makes sense on the shrimp tab
+        if (this.sizeFilter) {
+            this.sizeFilter.hidden = this.currentCategory !== 'shrimp';
+        }
+
+        this.sizeBtns.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.size === this.currentSize);
+        });
+    }
+
+    getStateParams() {
+        // Defaults are left out to keep shared links short
+        const params = {};
+
+        if (this.currentCategory !== 'all') params.category = this.currentCategory;
+        if (this.currentSearchTerm) params.q = this.currentSearchTerm;
+        if (this.currentSort !== 'default') params.sort = this.currentSort;
+        if (this.currentSize !== 'all') params.size = this.currentSize;
+        if (this.priceRange.min !== this.priceBounds.min) params.min = this.priceRange.min;
+        if (this.priceRange.max !== this.priceBounds.max) params.max = this.priceRange.max;
+
+        return params;
+    }
+
+    updateURL(mode = 'push') {
+        const url = new URL(window.location.href);
+
+        this.urlParams.forEach(name => url.searchParams.delete(name));
+        Object.entries(this.getStateParams()).forEach(([name, value]) => {
+            url.searchParams.set(name, value);
+        });
+
+        if (url.href === window.location.href) return;
+
+        if (mode === 'replace') {
+            window.history.replaceState(window.history.state, '', url);
+        } else {
+            window.history.pushState({ productsFilter: true }, '', url);
+        }
+    }
+
+    handleHistoryNavigation() {
+        if (!this.isLoaded) return;
+
+        this.readStateFromURL();
+        this.hideSuggestions();
+        this.filterAndRender();
+
+        const quickViewModal = document.getElementById('quickViewModal');
+        if (this.getLinkedProductId()) {
+            this.openProductFromURL();
+        } else if (quickViewModal && quickViewModal.classList.contains('show')) {
+            closeQuickView();
+        }
+    }
+
+    validateProducts(products) {
+        const seenIds = new Set();
+        const seenNames = new Set();
+        const duplicates = [];
+
+        const uniqueProducts = products.filter(product => {
+            if (!product.id) {
+                console.warn(`Product "${product.name}" has no id; deriving one from its name`);
+                product.id = product.name.trim().replace(/\s+/g, '-');
+            }
+
+            if (seenIds.has(product.id) || seenNames.has(product.name)) {
+                duplicates.push(`${product.id} (${product.name})`);
+                return false;
+            }
+
+            seenIds.add(product.id);
+            seenNames.add(product.name);
+
+            if (product.group && !this.groups.has(product.group)) {
+                console.warn(`Product "${product.id}" belongs to unknown group "${product.group}"; showing it on its own`);
+            }
+
+            // Shrimp grades are only encoded in the name, so parse them once up front
+            product.sizeGrade = product.category === 'shrimp' ? parseSizeGrade(product.name) : null;
+            return true;
+        });
+
+        if (duplicates.length > 0) {
+            console.warn(`Ignoring ${duplicates.length} duplicate product(s):`, duplicates);
+        }
+
+        return uniqueProducts;
+    }
+
+    findProduct(id) {
+        return this.allProducts.find(product => product.id === id);
+    }
+
+    getVariantGroup(product) {
+        const group = product.group && this.groups.get(product.group);
+        if (!group) return null;
+
+        return { group, variants: this.allProducts.filter(variant => variant.group === group.id) };
+    }
+
+    getLinkedProductId() {
+        // Supports both products.html?p=<id> and products.html#p=<id>
+        const params = new URLSearchParams(window.location.search);
+        const hashParams = new URLSearchParams(window.location.hash.slice(1));
+        return params.get('p') || hashParams.get('p');
+    }
+
+    openProductFromURL() {
+        const productId = this.getLinkedProductId();
+        if (!productId || !this.isLoaded) return;
+
+        const product = this.findProduct(productId);
+        if (product) {
+            quickView(product, this.getVariantGroup(product));
+        } else {
+            console.warn(`Linked product "${productId}" was not found`);
+            updateURLParam('p', null);
+        }
+    }
+
+    setupEventListeners() {
+        // Forget the linked product once its quick view is closed
+        const quickViewModal = document.getElementById('quickViewModal');
+        if (quickViewModal) {
+            quickViewModal.addEventListener('modal:closed', () => {
+                updateURLParam('p', null);
+                if (window.location.hash.startsWith('#p=')) {
+                    window.history.replaceState(window.history.state, '', window.location.pathname + window.location.search);
+                }
+            });
+        }
+
+        window.addEventListener('hashchange', () => this.openProductFromURL());
+
+        // Browser back/forward restores the filters from the query string
+        window.addEventListener('popstate', () => this.handleHistoryNavigation());
+
+        // Category filter buttons
+        this.filterBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.currentCategory = btn.dataset.category;
+                this.currentSize = 'all';
+                this.updateActiveFilter(btn);
+                this.updateSizeFilter();
+                this.filterAndRender();
+                this.updateURL();
+            });
+        });
+
+        // Shrimp size facet
+        this.sizeBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.currentSize = btn.dataset.size;
+                this.updateSizeFilter();
+                this.filterAndRender();
+                this.updateURL();
+            });
+        });
+
+        // Sort order
+        if (this.sortSelect) {
+            this.sortSelect.addEventListener('change', () => {
+                this.currentSort = this.sortSelect.value;
+                this.filterAndRender();
+                this.updateURL();
+            });
+        }
+
+        // Price range handles filter live while dragging and record history once released
+        [this.priceMinInput, this.priceMaxInput].forEach(input => {
+            if (!input) return;
+            input.addEventListener('input', () => this.handlePriceInput(input));
+            input.addEventListener('change', () => this.updateURL());
+        });
+
+        // Search input
+        if (this.searchInput) {
+            this.searchInput.addEventListener('input', (e) => {
+                this.currentSearchTerm = e.target.value.trim();
+                this.handleSearchInput();
+
+                // The first keystroke starts a history entry; the rest of the typing updates it
+                this.updateURL(this.isEditingSearch ? 'replace' : 'push');
+                this.isEditingSearch = true;
+            });
+
+            // Enter or leaving the field ends the edit, so the next search gets its own entry
+            this.searchInput.addEventListener('change', () => {
+                this.isEditingSearch = false;
+            });
+
+            // Hide suggestions when clicking outside
+            document.addEventListener('click', (e) => {
+                if (!this.searchInput.contains(e.target)) {
+                    this.hideSuggestions();
+                }
+            });
+        }
+    }
+
+    handleSearchInput() {
+        if (this.currentSearchTerm.length < 1) {
+            this.hideSuggestions();
+            this.filterAndRender();
+            return;
+        }
+
+        const searchResults = this.fuse.search(normalizeArabic(this.currentSearchTerm)).slice(0, 5);
+        this.displaySuggestions(searchResults.map(result => result.item.product));
+        this.filterAndRender();
+    }
+
+    displaySuggestions(suggestions) {
+        if (!this.suggestionsContainer) return;
+
+        if (suggestions.length === 0) {
+            this.hideSuggestions();
+            return;
+        }
+
+        this.suggestionsContainer.innerHTML = '';
+        suggestions.forEach(suggestion => {
+            const item = document.createElement('div');
+            item.className = 'suggestion-item';
+            item.textContent = suggestion.name;
+            item.addEventListener('click', () => {
+                this.searchInput.value = suggestion.name;
+                this.currentSearchTerm = suggestion.name;
+                this.hideSuggestions();
+                this.filterAndRender();
+                this.updateURL();
+            });
+            this.suggestionsContainer.appendChild(item);
+        });
+        this.suggestionsContainer.classList.add('active');
+    }
+
+    hideSuggestions() {
+        if (!this.suggestionsContainer) return;
+        this.suggestionsContainer.classList.remove('active');
+    }
+
+    filterAndRender() {
+        if (!this.isLoaded) return;
+
+        let filteredProducts = this.allProducts;
+
+        // Filter by category
+        if (this.currentCategory !== 'all') {
             filteredProducts = filteredProducts.filter(product => product.category === this.currentCategory);
         }
 
-        // Filter by search term using Fuse.js if term is present
-        if (this.currentSearchTerm) {
-            const fuse = new Fuse(filteredProducts, { keys: ['name'], threshold: 0.4 });
-            filteredProducts = fuse.search(this.currentSearchTerm).map(result => result.item);
+        // Filter by shrimp size class
+        if (this.currentCategory === 'shrimp' && this.currentSize !== 'all') {
+            filteredProducts = filteredProducts.filter(product => product.sizeGrade?.sizeClass === this.currentSize);
+        }
+
+        // Filter by price range
+        const { min, max } = this.priceRange;
+        filteredProducts = filteredProducts.filter(product => product.price >= min && product.price <= max);
+
+        // Filter by search term using Fuse.js if term is present
+        if (this.currentSearchTerm) {
+            filteredProducts = this.searchProducts(filteredProducts, this.currentSearchTerm);
+        }
+
+        this.renderProducts(this.sortProducts(filteredProducts));
+    }
+
+    searchProducts(products, term) {
+        const candidates = new Set(products);
+        const records = this.searchIndex.filter(record => candidates.has(record.product));
+        const fuse = new Fuse(records, PRODUCT_SEARCH_OPTIONS);
+
+        return fuse.search(normalizeArabic(term)).map(result => result.item.product);
+    }
+
+    sortProducts(products) {
+        // 'default' keeps catalog order, or search relevance when searching
+        const sorted = [...products];
+        const byName = (a, b) => this.collator.compare(a.name, b.name);
+        const categoryOrder = [...this.filterBtns].map(btn => btn.dataset.category);
+
+        switch (this.currentSort) {
+            case 'price-asc':
+                return sorted.sort((a, b) => a.price - b.price || byName(a, b));
+            case 'price-desc':
+                return sorted.sort((a, b) => b.price - a.price || byName(a, b));
+            case 'name':
+                return sorted.sort(byName);
+            case 'category':
+                return sorted.sort((a, b) =>
+                    categoryOrder.indexOf(a.category) - categoryOrder.indexOf(b.category) || byName(a, b));
+            default:
+                return sorted;
+        }
+    }
+
+    renderProducts(products) {
+        this.productsGrid.innerHTML = ''; // Clear existing products
+
+        if (products.length === 0) {
+            this.productsGrid.innerHTML = '<p class="no-products-found">لا توجد منتجات تطابق بحثك.</p>';
+            return;
+        }
+
+        // Variants of one product share a card, placed where its first match falls
+        const fragment = document.createDocumentFragment();
+        groupProductVariants(products, this.groups).forEach(entry => {
+            const card = this.createProductCard(entry);
+            // The event listener is now attached inside createProductCard
+            fragment.appendChild(card);
+        });
+        this.productsGrid.appendChild(fragment);
+
+        // Cards are built after page load, so hand their images to the lazy loader
+        if (this.imageOptimizer) {
+            this.imageOptimizer.optimizeImages(this.productsGrid);
+        } else {
+            this.productsGrid.querySelectorAll('img[data-src]').forEach(img => {
+                img.src = img.dataset.src;
+                img.removeAttribute('data-src');
+            });
+        }
+    }
+
+    createProductCard({ group, variants }) {
+        // Open grouped cards on a variant that can actually be ordered
+        let product = variants.find(variant => getProductAvailability(variant).orderable) || variants[0];
+
+        const card = document.createElement('div');
+        // Add 3D hover effect class
+        card.className = 'product-card card-3d-hover';
+        card.dataset.category = product.category;
+        if (group) {
+            card.dataset.group = group.id;
+        }
+
+        const images = getProductImages(product);
+        // The category image doubles as the placeholder until the real thumbnail scrolls into view
+        const lazySource = images.thumbnail !== images.fallback ? `data-src="${images.thumbnail}"` : '';
+        const description = group ? `${variants.length} اختيارات متاحة` : 'منتج طازج وعالي الجودة';
+
+        card.innerHTML = `
+            <div class="product-image">
+                <span class="product-badge size" hidden></span>
+                <span class="product-badge availability" hidden></span>
+                <span class="product-badge price-drop" hidden></span>
+                <img src="${images.fallback}" ${lazySource} alt="${product.name}" loading="lazy">
+                <div class="product-overlay">
+                    <div class="product-actions">
+                        <button class="product-action preview-btn">
+                            👁️ معاينة
+                        </button>
+                        <a href="#" class="product-action whatsapp" target="_blank">
+                            📱 اطلب الآن
+                        </a>
+                    </div>
+                </div>
+            </div>
+            <div class="product-info">
+                <h3 class="product-title">${group ? group.name : product.name}</h3>
+                <p class="product-description">${description}</p>
+                <div class="product-price">
+                    <span class="price-range"></span>
+                    <span class="price-trend" hidden></span>
+                    <span class="price-tier-note" hidden></span>
+                    <span class="price-note"></span>
+                </div>
+                <button class="btn btn-primary btn-sm product-order-btn add-to-cart-btn">
+                    🛒 أضف للسلة
+                </button>
+            </div>
+        `;
+
+        handleImageFallback(card.querySelector('.product-image img'), images.fallback);
+
+        // Grouped cards get option pickers that swap the variant shown and ordered
+        if (group && variants.length > 1) {
+            const selector = new VariantSelector(group, variants, variant => {
+                product = variant;
+                this.updateProductCard(card, product);
+            });
+            selector.select(product);
+            card.querySelector('.product-price').before(selector.element);
+        }
+
+        this.updateProductCard(card, product, false);
+
+        // Attach event listener for the preview button
+        const previewBtn = card.querySelector('.preview-btn');
+        if (previewBtn) {
+            previewBtn.addEventListener('click', (e) => {
+                e.stopPropagation(); // Prevent any parent handlers from firing
+                quickView(product, this.getVariantGroup(product)); // Pass the whole product object
+            });
+        }
+
+        const addToCartBtn = card.querySelector('.add-to-cart-btn');
+        if (addToCartBtn) {
+            addToCartBtn.addEventListener('click', () => {
+                if (window.cartManager) {
+                    window.cartManager.addItem(product);
+                }
+            });
+        }
+
+        return card;
+    }
+
+    updateProductCard(card, product, updateImage = true) {
+        card.dataset.id = product.id;
+
+        const unit = getProductUnit(product);
+        const availability = getProductAvailability(product);
+        card.querySelector('.price-range').textContent = `يبدأ من ${product.price} جنيه/${unit.label}`;
+        card.querySelector('.price-note').textContent = `أقل كمية للطلب: ${formatQuantity(unit.minQuantity, product)}`;
+
+        const sizeBadge = card.querySelector('.product-badge.size');
+        sizeBadge.hidden = !product.sizeGrade;
+        sizeBadge.textContent = product.sizeGrade ? `${product.sizeGrade.sizeLabel} ${product.sizeGrade.label}` : '';
+        sizeBadge.title = product.sizeGrade ? describeSizeGrade(product.sizeGrade) : '';
+
+        const tiers = getPriceTiers(product);
+        const tierNote = card.querySelector('.price-tier-note');
+        tierNote.hidden = tiers.length === 0;
+        tierNote.textContent = tiers.length
+            ? `أسعار الجملة حتى ${formatPrice(tiers[tiers.length - 1].price)}/${unit.label}`
+            : '';
+
+        // Recent price moves get an arrow next to the price, and drops a badge too
+        const trend = getPriceTrend(product);
+        const showTrend = Boolean(trend && trend.isRecent);
+        const priceTrend = card.querySelector('.price-trend');
+        priceTrend.hidden = !showTrend;
+        priceTrend.className = `price-trend ${showTrend ? trend.direction : ''}`;
+        priceTrend.textContent = showTrend
+            ? `${trend.direction === 'up' ? '▲' : '▼'} ${Math.abs(trend.percent)}% (كان ${formatPrice(trend.previous)})`
+            : '';
+
+        const priceDropBadge = card.querySelector('.product-badge.price-drop');
+        priceDropBadge.hidden = !(showTrend && trend.direction === 'down');
+        priceDropBadge.textContent = 'انخفض السعر';
+
+        const availabilityBadge = card.querySelector('.product-badge.availability');
+        availabilityBadge.hidden = !availability.badge;
+        availabilityBadge.className = `product-badge availability ${availability.status}`;
+        availabilityBadge.textContent = availability.badge || '';
+        availabilityBadge.title = availability.label;
+
+        // Unavailable products can't be ordered; the WhatsApp action asks to be notified instead
+        card.classList.toggle('unavailable', !availability.orderable);
+        const addToCartBtn = card.querySelector('.add-to-cart-btn');
+        addToCartBtn.disabled = !availability.orderable;
+        addToCartBtn.textContent = availability.orderable ? '🛒 أضف للسلة' : availability.label;
+
+        const whatsappBtn = card.querySelector('.product-action.whatsapp');
+        const whatsappMessage = renderMessage(availability.orderable ? 'productInquiry' : 'stockAlert', { product: product.name });
+        whatsappBtn.href = generateWhatsAppURL(whatsappMessage);
+        whatsappBtn.textContent = availability.orderable ? '📱 اطلب الآن' : '🔔 أبلغني عند التوفر';
+
+        const img = card.querySelector('.product-image img');
+        img.alt = product.name;
+        if (updateImage) {
+            // Still waiting for the lazy loader: just point it at the new thumbnail
+            const thumbnail = getProductImages(product).thumbnail;
+            if (img.dataset.src) {
+                img.dataset.src = thumbnail;
+            } else {
+                delete img.dataset.fallbackApplied;
+                img.src = thumbnail;
+            }
+        }
+    }
+
+    updateActiveFilter(activeBtn) {
+        this.filterBtns.forEach(btn => btn.classList.remove('active'));
+        activeBtn.classList.add('active');
+    }
+}
+
+// ==========================================================================
+// SHOPPING CART
+// ==========================================================================
+
+class CartManager {
+    constructor() {
+        this.items = this.loadCart();
+
+        this.cartToggle = document.getElementById('cart-toggle');
+        this.cartCount = document.getElementById('cart-count');
+        this.drawer = document.getElementById('cart-drawer');
+        this.overlay = document.getElementById('cart-overlay');
+        this.itemsContainer = document.getElementById('cart-items');
+        this.totalElement = document.getElementById('cart-total');
+        this.subtotalElement = document.getElementById('cart-subtotal');
+        this.deliveryFeeElement = document.getElementById('cart-delivery-fee');
+        this.checkoutBtn = document.getElementById('cart-checkout-btn');
+        this.clearBtn = document.getElementById('cart-clear-btn');
+
+        const deliverySelect = document.getElementById('cart-delivery-area');
+        this.delivery = deliverySelect
+            ? new DeliveryPicker(deliverySelect, document.getElementById('cart-delivery-estimate'), () => this.render())
+            : null;
+
+        this.isOpen = false;
+
+        this.init();
+    }
+
+    init() {
+        this.syncPrices();
+        this.setupEventListeners();
+        this.render();
+    }
+
+    setupEventListeners() {
+        if (this.cartToggle) {
+            this.cartToggle.addEventListener('click', () => this.open());
+        }
+
+        if (this.overlay) {
+            this.overlay.addEventListener('click', () => this.close());
+        }
+
+        if (this.drawer) {
+            const closeBtn = this.drawer.querySelector('.cart-close');
+            if (closeBtn) {
+                closeBtn.addEventListener('click', () => this.close());
+            }
+        }
+
+        if (this.checkoutBtn) {
+            this.checkoutBtn.addEventListener('click', () => this.checkout());
+        }
+
+        if (this.clearBtn) {
+            this.clearBtn.addEventListener('click', () => this.clear());
+        }
+
+        // Quantity and remove controls are re-rendered, so delegate from the list
+        if (this.itemsContainer) {
+            this.itemsContainer.addEventListener('click', (e) => {
+                const control = e.target.closest('[data-action]');
+                if (!control) return;
+
+                const id = control.closest('.cart-item')?.dataset.id;
+                const item = this.findItem(id);
+                if (!item) return;
+
+                switch (control.dataset.action) {
+                    case 'increase':
+                        this.updateQuantity(id, item.quantity + item.step);
+                        break;
+                    case 'decrease':
+                        this.updateQuantity(id, item.quantity - item.step);
+                        break;
+                    case 'remove':
+                        this.removeItem(id);
+                        break;
+                }
+            });
+
+            this.itemsContainer.addEventListener('change', (e) => {
+                if (!e.target.classList.contains('cart-qty-input')) return;
+
+                const id = e.target.closest('.cart-item')?.dataset.id;
+                this.updateQuantity(id, parseFloat(e.target.value));
+            });
+        }
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.close();
+            }
+        });
+
+        // Keep the cart in sync when it changes in another tab
+        window.addEventListener('storage', (e) => {
+            if (e.key === CONFIG.cartStorageKey) {
+                this.items = this.loadCart();
+                this.render();
+            }
+        });
+    }
+
+    loadCart() {
+        try {
+            const savedCart = JSON.parse(localStorage.getItem(CONFIG.cartStorageKey));
+            if (!Array.isArray(savedCart)) return [];
+
+            // Carts saved before units and ids existed are treated as kilos keyed by name
+            return savedCart.map(item => ({ id: item.name, ...item, ...getProductUnit(item) }));
+        } catch (error) {
+            console.warn('Could not read saved cart:', error);
+            return [];
+        }
+    }
+
+    saveCart() {
+        try {
+            localStorage.setItem(CONFIG.cartStorageKey, JSON.stringify(this.items));
+        } catch (error) {
+            console.warn('Could not save cart:', error);
+        }
+    }
+
+    syncPrices(products = typeof productsData !== 'undefined' ? productsData : null) {
+        // Prices are snapshotted when added; refresh them wherever the catalog is loaded. Items that
+        // can no longer be ordered stay in the cart with the reason, but out of the totals and the order.
+        if (!products) return;
+
+        this.items.forEach(item => {
+            const product = products.find(p => p.id === item.id || p.name === item.name);
+            if (!product) {
+                item.unavailable = 'لم يعد هذا المنتج متوفراً';
+                return;
+            }
+
+            const availability = getProductAvailability(product);
+            Object.assign(item, getProductUnit(product), {
+                id: product.id,
+                price: product.price,
+                priceTiers: getPriceTiers(product),
+                unavailable: availability.orderable ? null : availability.label
+            });
+        });
+
+        this.saveCart();
+    }
+
+    findItem(id) {
+        return this.items.find(item => item.id === id);
+    }
+
+    addItem(product, quantity) {
+        if (!product || !getProductAvailability(product).orderable) return;
+
+        const unit = getProductUnit(product);
+        const existingItem = this.findItem(product.id);
+        if (existingItem) {
+            existingItem.quantity += quantity || unit.step;
+        } else {
+            this.items.push({
+                id: product.id,
+                name: product.name,
+                category: product.category,
+                price: product.price,
+                priceTiers: getPriceTiers(product),
+                quantity: Math.max(quantity || unit.minQuantity, unit.minQuantity),
+                ...unit
+            });
+        }
+
+        this.saveCart();
+        this.render();
+        this.bumpToggle();
+    }
+
+    updateQuantity(id, quantity) {
+        const item = this.findItem(id);
+        if (!item) return;
+
+        if (isNaN(quantity) || quantity <= 0) {
+            this.removeItem(id);
+            return;
+        }
+
+        item.quantity = snapQuantity(quantity, item);
+
+        this.saveCart();
+        this.render();
+    }
+
+    removeItem(id) {
+        this.items = this.items.filter(item => item.id !== id);
+        this.saveCart();
+        this.render();
+    }
+
+    clear() {
+        this.items = [];
+        this.saveCart();
+        this.render();
+    }
+
+    getLineTotal(item) {
+        if (item.unavailable) return 0;
+
+        // Volume tiers lower the unit price of the whole line once its quantity reaches them
+        return getTierPrice(item, item.quantity) * item.quantity;
+    }
+
+    getTotal() {
+        return this.items.reduce((total, item) => total + this.getLineTotal(item), 0);
+    }
+
+    getOrderableItems() {
+        return this.items.filter(item => !item.unavailable);
+    }
+
+    render() {
+        if (this.cartCount) {
+            this.cartCount.textContent = this.items.length;
+            this.cartCount.classList.toggle('empty', this.items.length === 0);
+        }
+
+        // getTotal is the goods only; the delivery fee is added once an area is picked
+        const subtotal = this.getTotal();
+        const quote = this.delivery ? this.delivery.getQuote(subtotal) : null;
+
+        if (this.subtotalElement) {
+            this.subtotalElement.textContent = formatPrice(subtotal);
+        }
+
+        if (this.deliveryFeeElement) {
+            this.deliveryFeeElement.textContent = formatDeliveryFee(quote);
+        }
+
+        if (this.totalElement) {
+            this.totalElement.textContent = formatPrice(quote ? quote.total : subtotal);
+        }
+
+        if (this.delivery) {
+            this.delivery.render(subtotal);
+        }
+
+        if (this.checkoutBtn) {
+            this.checkoutBtn.disabled = this.getOrderableItems().length === 0;
+        }
+
+        this.renderItems();
+    }
+
+    renderItems() {
+        if (!this.itemsContainer) return;
+
+        if (this.items.length === 0) {
+            this.itemsContainer.innerHTML = '<p class="cart-empty">السلة فارغة، أضف منتجات من صفحة <a href="products.html">منتجاتنا</a>.</p>';
+            return;
+        }
+
+        this.itemsContainer.innerHTML = this.items.map(item => item.unavailable ? `
+            <div class="cart-item unavailable" data-id="${escapeHTML(item.id)}">
+                <div class="cart-item-info">
+                    <h4 class="cart-item-title">${escapeHTML(item.name)}</h4>
+                    <span class="cart-item-unavailable">${escapeHTML(item.unavailable)}</span>
+                </div>
+                <div class="cart-item-footer">
+                    <span class="cart-item-subtotal">لن يضاف للطلب</span>
+                    <button class="cart-remove-btn" data-action="remove" aria-label="حذف من السلة">🗑️</button>
+                </div>
+            </div>
+        ` : `
+            <div class="cart-item" data-id="${escapeHTML(item.id)}">
+                <div class="cart-item-info">
+                    <h4 class="cart-item-title">${escapeHTML(item.name)}</h4>
+                    <span class="cart-item-price">${formatPrice(getTierPrice(item, item.quantity))}/${escapeHTML(item.label)}</span>
+                    ${getTierPrice(item, item.quantity) < item.price ? '<span class="cart-item-tier">سعر الجملة</span>' : ''}
+                </div>
+                <div class="cart-item-controls">
+                    <button class="cart-qty-btn" data-action="decrease" aria-label="تقليل الكمية">−</button>
+                    <input type="number" class="cart-qty-input" value="${escapeHTML(item.quantity)}"
+                           min="${escapeHTML(item.minQuantity)}" step="${escapeHTML(item.step)}" aria-label="الكمية (${escapeHTML(item.label)})">
+                    <button class="cart-qty-btn" data-action="increase" aria-label="زيادة الكمية">+</button>
+                    <span class="cart-qty-unit">${escapeHTML(item.label)}</span>
+                </div>
+                <div class="cart-item-footer">
+                    <span class="cart-item-subtotal">${formatPrice(this.getLineTotal(item))}</span>
+                    <button class="cart-remove-btn" data-action="remove" aria-label="حذف من السلة">🗑️</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    bumpToggle() {
+        if (!this.cartToggle) return;
+
+        this.cartToggle.classList.add('bump');
+        setTimeout(() => {
+            this.cartToggle.classList.remove('bump');
+        }, 400);
+    }
+
+    open() {
+        if (!this.drawer) return;
+
+        this.isOpen = true;
+        this.drawer.classList.add('open');
+        this.drawer.setAttribute('aria-hidden', 'false');
+        if (this.overlay) this.overlay.classList.add('show');
+        document.body.style.overflow = 'hidden';
+    }
+
+    close() {
+        if (!this.drawer) return;
+
+        this.isOpen = false;
+        this.drawer.classList.remove('open');
+        this.drawer.setAttribute('aria-hidden', 'true');
+        if (this.overlay) this.overlay.classList.remove('show');
+        document.body.style.overflow = '';
+    }
+
+    buildOrderMessage() {
+        const quote = this.delivery ? this.delivery.getQuote(this.getTotal()) : null;
+
+        return renderMessage('orderRequest', {
+            items: this.getOrderableItems().map((item, index) => formatOrderLine(item, index)),
+            total: quote ? quote.total : this.getTotal(),
+            ...getDeliveryMessageValues(quote)
+        });
+    }
+
+    checkout() {
+        if (this.getOrderableItems().length === 0) return;
+        if (this.delivery && !this.delivery.validate()) return;
+
+        const whatsappURL = generateWhatsAppURL(this.buildOrderMessage());
+        window.open(whatsappURL, '_blank');
+    }
+}
+
+// ==========================================================================
+// MODAL MANAGEMENT
+// ==========================================================================
+
+class ModalManager {
+    constructor() {
+        this.modals = document.querySelectorAll('.modal');
+        this.activeModal = null;
+        
+        this.init();
+    }
+    
+    init() {
+        this.setupEventListeners();
+    }
+    
+    setupEventListeners() {
+        // Close modal on escape key
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.activeModal) {
+                this.closeModal(this.activeModal);
+            }
+        });
+        
+        // Close modal on backdrop click
+        this.modals.forEach(modal => {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    this.closeModal(modal);
+                }
+            });
+            
+            // Close button
+            const closeBtn = modal.querySelector('.modal-close');
+            if (closeBtn) {
+                closeBtn.addEventListener('click', () => {
+                    this.closeModal(modal);
+                });
+            }
+        });
+    }
+    
+    openModal(modalId) {
+        const modal = document.getElementById(modalId);
+        if (!modal) return;
+        
+        modal.classList.add('show');
+        document.body.style.overflow = 'hidden';
+        this.activeModal = modal;
+        
+        // Focus trap
+        this.trapFocus(modal);
+    }
+    
+    closeModal(modal) {
+        if (!modal) return;
+        
+        modal.classList.remove('show');
+        document.body.style.overflow = '';
+        this.activeModal = null;
+        
+        // Let components react to a modal closing however it was dismissed
+        modal.dispatchEvent(new CustomEvent('modal:closed'));
+    }
+    
+    trapFocus(modal) {
+        const focusableElements = modal.querySelectorAll(
+            'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+        );
+        
+        if (focusableElements.length === 0) return;
+        
+        const firstFocusable = focusableElements[0];
+        const lastFocusable = focusableElements[focusableElements.length - 1];
+        
+        firstFocusable.focus();
+        
+        modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Tab') {
+                if (e.shiftKey) {
+                    if (document.activeElement === firstFocusable) {
+                        lastFocusable.focus();
+                        e.preventDefault();
+                    }
+                } else {
+                    if (document.activeElement === lastFocusable) {
+                        firstFocusable.focus();
+                        e.preventDefault();
+                    }
+                }
+            }
+        });
+    }
+}
+
+// ==========================================================================
+// PRODUCT GALLERY (Quick View Modal)
+// ==========================================================================
+
+class ProductGallery {
+    constructor(container) {
+        this.container = container;
+        this.mainImage = container?.querySelector('#modalImage');
+        this.thumbnails = container?.querySelector('.gallery-thumbnails');
+        this.prevBtn = container?.querySelector('.gallery-prev');
+        this.nextBtn = container?.querySelector('.gallery-next');
+
+        this.images = [];
+        this.fallback = '';
+        this.altText = '';
+        this.currentIndex = 0;
+        this.isZoomed = false;
+
+        this.init();
+    }
+
+    init() {
+        if (!this.container || !this.mainImage) return;
+
+        this.setupEventListeners();
+        this.setupTouchEvents();
+    }
+
+    setupEventListeners() {
+        if (this.prevBtn) {
+            this.prevBtn.addEventListener('click', () => this.previous());
+        }
+
+        if (this.nextBtn) {
+            this.nextBtn.addEventListener('click', () => this.next());
+        }
+
+        if (this.thumbnails) {
+            this.thumbnails.addEventListener('click', (e) => {
+                const thumb = e.target.closest('[data-index]');
+                if (thumb) {
+                    this.goTo(parseInt(thumb.dataset.index));
+                }
+            });
+        }
+
+        // Click to zoom, then follow the pointer to pan around the photo
+        this.mainImage.addEventListener('click', (e) => this.toggleZoom(e));
+        this.mainImage.addEventListener('mousemove', (e) => {
+            if (this.isZoomed) this.updateZoomOrigin(e);
+        });
+
+        this.mainImage.addEventListener('error', () => {
+            if (this.fallback && !this.mainImage.src.endsWith(this.fallback)) {
+                this.mainImage.src = this.fallback;
+            }
+        });
+
+        this.container.addEventListener('keydown', (e) => {
+            // Arrow keys follow the RTL reading direction
+            if (e.key === 'ArrowLeft') this.next();
+            if (e.key === 'ArrowRight') this.previous();
+        });
+    }
+
+    setupTouchEvents() {
+        let startX = 0;
+
+        this.mainImage.addEventListener('touchstart', (e) => {
+            startX = e.touches[0].clientX;
+        }, { passive: true });
+
+        this.mainImage.addEventListener('touchend', (e) => {
+            if (this.isZoomed) return;
+
+            const diff = startX - e.changedTouches[0].clientX;
+            if (Math.abs(diff) > 50) {
+                diff > 0 ? this.next() : this.previous();
+            }
+        });
+    }
+
+    show(images, altText = '') {
+        this.images = images.gallery;
+        this.fallback = images.fallback;
+        this.altText = altText;
+
+        this.renderThumbnails();
+        this.goTo(0);
+
+        const hasMultiple = this.images.length > 1;
+        this.container.classList.toggle('has-multiple', hasMultiple);
+    }
+
+    renderThumbnails() {
+        if (!this.thumbnails) return;
+
+        if (this.images.length < 2) {
+            this.thumbnails.innerHTML = '';
+            return;
+        }
+
+        this.thumbnails.innerHTML = this.images.map((src, index) => `
+            <button class="gallery-thumb" data-index="${index}" aria-label="صورة ${index + 1}">
+                <img src="${src}" alt="" loading="lazy">
+            </button>
+        `).join('');
+
+        this.thumbnails.querySelectorAll('img').forEach(img => handleImageFallback(img, this.fallback));
+    }
+
+    goTo(index) {
+        if (this.images.length === 0) return;
+
+        this.currentIndex = (index + this.images.length) % this.images.length;
+        this.resetZoom();
+
+        this.mainImage.src = this.images[this.currentIndex];
+        this.mainImage.alt = this.altText;
+
+        if (this.thumbnails) {
+            this.thumbnails.querySelectorAll('.gallery-thumb').forEach((thumb, i) => {
+                thumb.classList.toggle('active', i === this.currentIndex);
+            });
+        }
+    }
+
+    next() {
+        this.goTo(this.currentIndex + 1);
+    }
+
+    previous() {
+        this.goTo(this.currentIndex - 1);
+    }
+
+    toggleZoom(e) {
+        this.isZoomed = !this.isZoomed;
+        this.mainImage.classList.toggle('zoomed', this.isZoomed);
+
+        if (this.isZoomed) {
+            this.updateZoomOrigin(e);
+        }
+    }
+
+    updateZoomOrigin(e) {
+        const rect = this.mainImage.getBoundingClientRect();
+        const x = ((e.clientX - rect.left) / rect.width) * 100;
+        const y = ((e.clientY - rect.top) / rect.height) * 100;
+        this.mainImage.style.transformOrigin = `${x}% ${y}%`;
+    }
+
+    resetZoom() {
+        this.isZoomed = false;
+        this.mainImage.classList.remove('zoomed');
+        this.mainImage.style.transformOrigin = '';
+    }
+}
+
+// Global functions for modal management
+function quickView(product, variantGroup = null) {
+    const modal = document.getElementById('quickViewModal');
+    if (!modal || !product) return;
+
+    // Option pickers for grouped products; picking a variant refreshes the details below
+    const modalVariants = modal.querySelector('#modalVariants');
+    if (modalVariants) {
+        modalVariants.innerHTML = '';
+        modalVariants.hidden = !variantGroup || variantGroup.variants.length < 2;
+
+        if (!modalVariants.hidden) {
+            const selector = new VariantSelector(variantGroup.group, variantGroup.variants, populateQuickView);
+            selector.select(product);
+            modalVariants.appendChild(selector.element);
+        }
+    }
+
+    populateQuickView(product);
+
+    // Open modal
+    if (window.modalManager) {
+        window.modalManager.openModal('quickViewModal');
+    }
+}
+
+function populateQuickView(product) {
+    const modal = document.getElementById('quickViewModal');
+    if (!modal || !product) return;
+
+    // Get modal elements
+    const modalTitle = modal.querySelector('#modalTitle');
+    const modalImage = modal.querySelector('#modalImage');
+    const modalDescription = modal.querySelector('#modalDescription');
+    const modalPrice = modal.querySelector('#modalPrice');
+    const modalSizeGrade = modal.querySelector('#modalSizeGrade');
+    const modalAvailability = modal.querySelector('#modalAvailability');
+    const modalPriceHistory = modal.querySelector('#modalPriceHistory');
+    const modalPriceTiers = modal.querySelector('#modalPriceTiers');
+    const modalWhatsappBtn = modal.querySelector('#modalWhatsappBtn');
+    const modalAddToCartBtn = modal.querySelector('#modalAddToCartBtn');
+    const modalCopyLinkBtn = modal.querySelector('#modalCopyLinkBtn');
+    const modalShareWhatsappBtn = modal.querySelector('#modalShareWhatsappBtn');
+
+    const availability = getProductAvailability(product);
+
+    // Populate modal content
+    if (modalTitle) modalTitle.textContent = product.name;
+    if (window.productGallery) {
+        window.productGallery.show(getProductImages(product), product.name);
+    } else if (modalImage) {
+        modalImage.src = getProductImages(product).thumbnail;
+        modalImage.alt = product.name;
+    }
+    if (modalDescription) {
+        modalDescription.textContent = availability.orderable
+            ? "منتج طازج وعالي الجودة، متوفر الآن لدى الفهد للمأكولات البحرية. اطلبه الآن!"
+            : "منتج طازج وعالي الجودة من الفهد للمأكولات البحرية. اطلب إبلاغك على واتساب فور توفره.";
+    }
+    if (modalPrice) {
+        modalPrice.textContent = `يبدأ من ${product.price} جنيه/${getProductUnit(product).label}`;
+    }
+    if (modalSizeGrade) {
+        modalSizeGrade.hidden = !product.sizeGrade;
+        modalSizeGrade.textContent = product.sizeGrade ? `المقاس: ${describeSizeGrade(product.sizeGrade)}` : '';
+    }
+    if (modalPriceTiers) {
+        const tiers = getPriceTiers(product);
+        const unitLabel = getProductUnit(product).label;
+
+        modalPriceTiers.hidden = tiers.length === 0;
+        modalPriceTiers.innerHTML = tiers.length ? `
+            <h4>أسعار الجملة</h4>
+            <table class="price-tiers-table">
+                <thead>
+                    <tr><th>الكمية</th><th>سعر ال${unitLabel}</th></tr>
+                </thead>
+                <tbody>
+                    <tr><td>أقل من ${formatQuantity(tiers[0].from, product)}</td><td>${formatPrice(product.price)}</td></tr>
+                    ${tiers.map(tier => `
+                        <tr><td>من ${formatQuantity(tier.from, product)}</td><td>${formatPrice(tier.price)}</td></tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '';
+    }
+    if (modalPriceHistory) {
+        const history = product.priceHistory || [];
+        const trend = getPriceTrend(product);
+        const sparkline = renderSparkline(history);
+
+        modalPriceHistory.hidden = !sparkline;
+        modalPriceHistory.innerHTML = sparkline ? `
+            <h4>تغير السعر</h4>
+            ${sparkline}
+            <p class="price-history-summary">
+                ${trend ? `${trend.direction === 'up' ? '▲ ارتفع' : '▼ انخفض'} من ${formatPrice(trend.previous)}${trend.changedOn ? ` في ${new Date(trend.changedOn).toLocaleDateString('ar-EG', { day: 'numeric', month: 'long' })}` : ''}` : ''}
+            </p>
+        ` : '';
+    }
+    if (modalAvailability) {
+        modalAvailability.hidden = availability.status === 'in-stock';
+        modalAvailability.className = `modal-availability ${availability.status}`;
+        modalAvailability.textContent = availability.label;
+    }
+
+    // Update WhatsApp button link; unavailable products ask to be notified instead
+    if (modalWhatsappBtn) {
+        const message = renderMessage(availability.orderable ? 'productInquiry' : 'stockAlert', { product: product.name });
+        modalWhatsappBtn.href = generateWhatsAppURL(message);
+        modalWhatsappBtn.querySelector('span').textContent = availability.orderable ? '📱 اطلب الآن' : '🔔 أبلغني عند التوفر';
+    }
+
+    // The modal is reused, so replace rather than stack the click handler
+    if (modalAddToCartBtn) {
+        modalAddToCartBtn.disabled = !availability.orderable;
+        modalAddToCartBtn.onclick = () => {
+            if (window.cartManager) {
+                window.cartManager.addItem(product);
+            }
+            closeQuickView();
+        };
+    }
+
+    // Share links point at this product's quick view
+    const productURL = getProductURL(product);
+    if (modalShareWhatsappBtn) {
+        modalShareWhatsappBtn.href = `https://wa.me/?text=${encodeURIComponent(`${product.name} - الفهد للمأكولات البحرية\n${productURL}`)}`;
+    }
+    if (modalCopyLinkBtn) {
+        modalCopyLinkBtn.onclick = () => {
+            copyToClipboard(productURL)
+                .then(() => showButtonFeedback(modalCopyLinkBtn, '✓ تم نسخ الرابط'))
+                .catch(() => showButtonFeedback(modalCopyLinkBtn, 'تعذر نسخ الرابط'));
+        };
+    }
+
+    // Reflect the open product in the address bar so it can be bookmarked or shared
+    if (product.id) {
+        updateURLParam('p', product.id);
+    }
+}
+
+function closeQuickView() {
+    const modal = document.getElementById('quickViewModal');
+    if (modal && window.modalManager) {
+        window.modalManager.closeModal(modal);
+    }
+}
+
+function closeSuccessModal() {
+    const modal = document.getElementById('successModal');
+    if (modal && window.modalManager) {
+        window.modalManager.closeModal(modal);
+    }
+}
+
+// ==========================================================================
+// EGYPTIAN PHONE NUMBERS
+// ==========================================================================
+
+// Mobile network codes after the leading 0: Vodafone 010, Etisalat 011, Orange 012, WE 015
+const EGYPT_MOBILE_PREFIXES = ['10', '11', '12', '15'];
+const EGYPT_MOBILE_LENGTH = 10;
+
+// Landline area codes (without the leading 0) and the length of the subscriber number after them
+const EGYPT_LANDLINE_AREAS = {
+    '2': 8, // Cairo & Giza
+    '3': 7, // Alexandria
+    '13': 7, '40': 7, '45': 7, '46': 7, '47': 7, '48': 7, '50': 7, '55': 7, '57': 7,
+    '62': 7, '64': 7, '65': 7, '66': 7, '68': 7, '69': 7, '82': 7, '84': 7, '86': 7,
+    '88': 7, '92': 7, '93': 7, '95': 7, '96': 7, '97': 7
+};
+
+/**
+ * Validate an Egyptian phone number written any common way (Arabic-Indic digits, spaces,
+ * +20 / 0020 / 0 prefixes) and return it in E.164, or the Arabic reason it was rejected
+ */
+function parseEgyptianPhone(value) {
+    const text = toLatinDigits(value).replace(/[\s\-().]/g, '');
+
+    if (!/^\+?\d+$/.test(text)) {
+        return { valid: false, error: 'رقم التليفون يجب أن يحتوي على أرقام فقط' };
+    }
+
+    let national = text;
+    if (/^(\+|00)/.test(text)) {
+        national = text.replace(/^(\+|00)/, '');
+        if (!national.startsWith('20')) {
+            return { valid: false, error: 'يرجى إدخال رقم مصري (كود الدولة 20+)' };
+        }
+        national = national.slice(2);
+    } else if (text.startsWith('20') && text.length > EGYPT_MOBILE_LENGTH) {
+        // Country code typed without the plus
+        national = text.slice(2);
+    }
+
+    // The trunk 0 is dropped in E.164, and people often keep it after +20
+    national = national.replace(/^0/, '');
+
+    const area = ['2', '3'].includes(national[0]) ? national[0] : national.slice(0, 2);
+    if (EGYPT_LANDLINE_AREAS[area]) {
+        if (national.length !== area.length + EGYPT_LANDLINE_AREAS[area]) {
+            return { valid: false, error: `رقم التليفون الأرضي يجب أن يكون ${EGYPT_LANDLINE_AREAS[area]} أرقام بعد كود المحافظة 0${area}` };
+        }
+        return { valid: true, type: 'landline', e164: `+20${national}` };
+    }
+
+    if (national.startsWith('1')) {
+        if (!EGYPT_MOBILE_PREFIXES.includes(national.slice(0, 2))) {
+            return { valid: false, error: 'رقم الموبايل يجب أن يبدأ بـ 010 أو 011 أو 012 أو 015' };
+        }
+        if (national.length !== EGYPT_MOBILE_LENGTH) {
+            return { valid: false, error: 'رقم الموبايل يجب أن يكون 11 رقماً (مثال: 01012345678)' };
+        }
+        return { valid: true, type: 'mobile', e164: `+20${national}` };
+    }
+
+    return { valid: false, error: 'يرجى إدخال رقم موبايل يبدأ بـ 01 أو رقم أرضي بكود المحافظة' };
+}
+
+// ==========================================================================
+// BUSINESS HOURS
+// ==========================================================================
+
+const WEEKDAY_KEYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const ARABIC_WEEKDAYS = ['الأحد', 'الاثنين', 'الثلاثاء', 'الأربعاء', 'الخميس', 'الجمعة', 'السبت'];
+
+/**
+ * Minutes since midnight for an "HH:MM" time
+ */
+function parseClock(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * "HH:MM" as it's written on the pages, e.g. "22:00" → "10:00 م"
+ */
+function formatClock(time, suffixes = ['ص', 'م']) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const suffix = suffixes[hours < 12 ? 0 : 1];
+    return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${suffix}`;
+}
+
+/**
+ * Minutes since midnight back to "HH:MM"
+ */
+function toClock(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Day of the week and minutes since midnight in the shop's time zone, wherever the visitor is
+ */
+function getShopTime(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone,
+        weekday: 'short',
+        hour: 'numeric',
+        minute: 'numeric',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    const part = type => parts.find(item => item.type === type).value;
+
+    return {
+        day: WEEKDAY_KEYS.indexOf(part('weekday')),
+        minutes: Number(part('hour')) * 60 + Number(part('minute'))
+    };
+}
+
+/**
+ * Whether WhatsApp is answered right now (SITE_CONFIG.hours), and if not, when it opens next
+ */
+function getBusinessHoursStatus(date = new Date()) {
+    const { schedule, timeZone } = SITE_CONFIG.hours;
+    const now = getShopTime(date, timeZone);
+
+    for (let offset = 0; offset <= 7; offset++) {
+        const day = (now.day + offset) % 7;
+        const hours = schedule[day];
+        if (!hours) continue;
+
+        const [open, close] = hours.map(parseClock);
+        if (offset === 0 && now.minutes >= open && now.minutes < close) {
+            return { open: true };
+        }
+        if (offset > 0 || now.minutes < open) {
+            return { open: false, opensAt: { day: day, offset: offset, time: hours[0] } };
+        }
+    }
+
+    return { open: false, opensAt: null };
+}
+
+/**
+ * When the shop opens next, in words: "غداً الساعة 8:00 ص"
+ */
+function formatOpeningTime(opensAt) {
+    if (!opensAt) return 'في أقرب وقت';
+
+    const day = opensAt.offset === 0 ? 'اليوم'
+        : opensAt.offset === 1 ? 'غداً'
+        : `يوم ${ARABIC_WEEKDAYS[opensAt.day]}`;
+    return `${day} الساعة ${formatClock(opensAt.time)}`;
+}
+
+// ==========================================================================
+// DELIVERY
+// ==========================================================================
+
+/**
+ * Every area we deliver to (SITE_CONFIG.delivery.zones) with its zone and the fee that applies there
+ */
+function getDeliveryAreas() {
+    return SITE_CONFIG.delivery.zones.flatMap(zone => zone.areas.map(area => {
+        const name = typeof area === 'string' ? area : area.name;
+        return {
+            id: `${zone.id}:${name}`,
+            name: name,
+            zone: zone,
+            fee: typeof area === 'object' && area.fee !== undefined ? area.fee : zone.fee
+        };
+    }));
+}
+
+function findDeliveryArea(id) {
+    return getDeliveryAreas().find(area => area.id === id) || null;
+}
+
+/**
+ * When an order placed now would arrive: on the first day deliveries go out by the same rules as
+ * the slot picker (getDeliveryDays), leadHours after ordering today or after the first window
+ * opens on a later day. Times are rounded up to the half hour; null when no day within
+ * SITE_CONFIG.delivery.daysAhead is open.
+ */
+function getDeliveryEstimate(area, date = new Date()) {
+    const { daysAhead, windows } = SITE_CONFIG.delivery;
+    const today = getShopDate(date);
+    const now = getShopTime(date, SITE_CONFIG.hours.timeZone);
+    const deliveryStart = Math.min(...windows.map(slot => parseClock(slot.from)));
+    const deliveryEnd = Math.max(...windows.map(slot => parseClock(slot.to)));
+    const [minHours, maxHours] = area.zone.leadHours;
+    const roundUp = minutes => Math.ceil(minutes / 30) * 30;
+
+    for (let offset = 0; offset < daysAhead; offset++) {
+        const day = addDays(today, offset);
+        // Today is out once the area can't be reached before the last window closes
+        if (getDeliveryDayClosure(day, offset, now) || (offset === 0 && getEarliestArrival(area, now) >= deliveryEnd)) {
+            continue;
+        }
+
+        const start = offset === 0 ? Math.max(now.minutes, deliveryStart) : deliveryStart;
+        return {
+            date: day,
+            offset: offset,
+            from: toClock(roundUp(start + minHours * 60)),
+            to: toClock(roundUp(start + maxHours * 60))
+        };
+    }
+    return null;
+}
+
+function formatDeliveryEstimate(estimate, language = getMessageLanguage()) {
+    if (!estimate) return '';
+
+    const name = estimate.offset === 0 ? 'etaToday' : estimate.offset === 1 ? 'etaTomorrow' : 'etaLater';
+    return renderMessage(name, { ...estimate, day: estimate.date }, language);
+}
+
+/**
+ * Fee, grand total and expected arrival of an order to an area; orders from
+ * SITE_CONFIG.delivery.freeDeliveryMinimum up are delivered free
+ */
+function getDeliveryQuote(area, subtotal, date = new Date()) {
+    const fee = subtotal >= SITE_CONFIG.delivery.freeDeliveryMinimum ? 0 : area.fee;
+
+    return {
+        area: area,
+        subtotal: subtotal,
+        fee: fee,
+        total: subtotal + fee,
+        estimate: getDeliveryEstimate(area, date)
+    };
+}
+
+/**
+ * The delivery placeholders of the orderRequest and orderForm message templates
+ */
+function getDeliveryMessageValues(quote) {
+    if (!quote) return {};
+
+    return {
+        subtotal: quote.subtotal,
+        area: `${quote.area.name} - ${quote.area.zone.name}`,
+        deliveryFee: quote.fee,
+        eta: formatDeliveryEstimate(quote.estimate)
+    };
+}
+
+/**
+ * Delivery fee as shown next to the totals
+ */
+function formatDeliveryFee(quote) {
+    if (!quote) return 'حسب المنطقة';
+    return quote.fee > 0 ? formatPrice(quote.fee) : 'مجاني';
+}
+
+// Area select shared by the cart drawer and the contact page's order form
+class DeliveryPicker {
+    constructor(select, estimateElement, onChange) {
+        this.select = select;
+        this.estimateElement = estimateElement;
+        this.onChange = onChange;
+
+        this.init();
+    }
+
+    init() {
+        this.populate();
+        this.restore();
+
+        this.select.addEventListener('change', () => {
+            this.setError('');
+            this.save();
+            this.onChange();
+        });
+    }
+
+    populate() {
+        const areas = getDeliveryAreas();
+
+        SITE_CONFIG.delivery.zones.forEach(zone => {
+            const group = document.createElement('optgroup');
+            group.label = zone.name;
+            areas.filter(area => area.zone === zone).forEach(area => {
+                group.appendChild(new Option(area.name, area.id));
+            });
+            this.select.appendChild(group);
+        });
+    }
+
+    restore() {
+        // Whichever area was picked last, in the cart or the order form
+        try {
+            const saved = localStorage.getItem(CONFIG.deliveryAreaStorageKey);
+            if (saved && findDeliveryArea(saved)) {
+                this.select.value = saved;
+            }
+        } catch (error) {
+            console.warn('Could not read saved delivery area:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(CONFIG.deliveryAreaStorageKey, this.select.value);
+        } catch (error) {
+            console.warn('Could not save delivery area:', error);
+        }
+    }
+
+    getArea() {
+        return findDeliveryArea(this.select.value);
+    }
+
+    getQuote(subtotal) {
+        const area = this.getArea();
+        return area ? getDeliveryQuote(area, subtotal) : null;
+    }
+
+    render(subtotal) {
+        if (!this.estimateElement) return;
+
+        const quote = this.getQuote(subtotal);
+        if (!quote) {
+            this.estimateElement.hidden = true;
+            return;
+        }
+
+        const notes = [];
+        if (quote.estimate) {
+            notes.push(`🚚 الوصول المتوقع ${formatDeliveryEstimate(quote.estimate)}`);
+        }
+        if (quote.fee > 0 && subtotal > 0) {
+            const remaining = SITE_CONFIG.delivery.freeDeliveryMinimum - subtotal;
+            notes.push(`أضف منتجات بقيمة ${formatPrice(remaining)} ليصبح التوصيل مجانياً`);
+        }
+
+        this.estimateElement.textContent = notes.join(' · ');
+        this.estimateElement.hidden = notes.length === 0;
+    }
+
+    setError(message) {
+        const group = this.select.closest('.form-group, .delivery-picker');
+        const errorElement = group?.querySelector('.error-message');
+        if (errorElement) {
+            errorElement.textContent = message;
+        }
+        if (group) {
+            group.classList.toggle('error', !!message);
+        }
+    }
+
+    validate() {
+        if (!this.getArea()) {
+            this.setError('اختر منطقة التوصيل لحساب رسوم التوصيل');
+            this.select.focus();
+            return false;
+        }
+        this.setError('');
+        return true;
+    }
+}
+
+// ==========================================================================
+// DELIVERY SLOTS
+// ==========================================================================
+
+// Windows with this many places left or fewer say so
+const SLOT_LOW_CAPACITY = 3;
+
+/**
+ * A date in the shop's time zone as "YYYY-MM-DD"
+ */
+function getShopDate(date = new Date()) {
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: SITE_CONFIG.hours.timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).format(date);
+}
+
+function addDays(isoDate, days) {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Fetch a JSON file past the HTTP cache
+ */
+function fetchJSON(url) {
+    return fetch(url, { cache: 'no-store' }).then(response => {
+        if (!response.ok) {
+            throw new Error(`Request for ${url} failed with status ${response.status}`);
+        }
+        return response.json();
+    });
+}
+
+function getWeekday(isoDate) {
+    return new Date(`${isoDate}T00:00:00Z`).getUTCDay();
+}
+
+function formatDeliveryDay(isoDate, offset) {
+    const [, month, day] = isoDate.split('-').map(Number);
+    const name = offset === 0 ? 'اليوم' : offset === 1 ? 'غداً' : ARABIC_WEEKDAYS[getWeekday(isoDate)];
+    return `${name} ${day}/${month}`;
+}
+
+/**
+ * Why nothing is delivered on a day `offset` days from today, or null: a holiday, the weekly
+ * closed day, or today once the same-day cutoff has passed
+ */
+function getDeliveryDayClosure(isoDate, offset, now) {
+    const { holidays, closedWeekdays, sameDayCutoff } = SITE_CONFIG.delivery;
+    const holiday = holidays.find(entry => entry.date === isoDate);
+
+    if (holiday) return holiday.name;
+    if (closedWeekdays.includes(getWeekday(isoDate))) return 'لا يوجد توصيل';
+    if (offset === 0 && now.minutes >= parseClock(sameDayCutoff)) return 'انتهى موعد طلبات اليوم';
+    return null;
+}
+
+/**
+ * The soonest an order placed now reaches an area, in minutes since midnight; without an area,
+ * the nearest zone's. Today's windows that end by then can't be booked.
+ */
+function getEarliestArrival(area, now) {
+    const leadHours = area ? area.zone.leadHours[0] : Math.min(...SITE_CONFIG.delivery.zones.map(zone => zone.leadHours[0]));
+    return now.minutes + leadHours * 60;
+}
+
+/**
+ * The bookable days and windows of SITE_CONFIG.delivery from today on, with the places left in
+ * each (capacity from CONFIG.deliverySlotsURL, less what's booked). Today only offers windows the
+ * area can still reach, and only before the same-day cutoff; closed days and full windows are kept
+ * with the reason they can't be booked. Keep the rules in step with checkDeliverySlot in
+ * tools/form-server.js.
+ */
+function getDeliveryDays(slots, area = null, date = new Date()) {
+    const today = getShopDate(date);
+    const now = getShopTime(date, SITE_CONFIG.hours.timeZone);
+    const earliestArrival = getEarliestArrival(area, now);
+
+    return Array.from({ length: SITE_CONFIG.delivery.daysAhead }, (_, offset) => {
+        const day = addDays(today, offset);
+        let closed = getDeliveryDayClosure(day, offset, now);
+
+        const windows = SITE_CONFIG.delivery.windows.map(slot => {
+            const remaining = (slots.capacity[slot.id] || 0) - (slots.booked[`${day}:${slot.id}`] || 0);
+            const passed = offset === 0 && earliestArrival >= parseClock(slot.to);
+            return {
+                ...slot,
+                remaining: remaining,
+                available: !closed && !passed && remaining > 0,
+                reason: passed ? 'انتهى موعدها' : remaining <= 0 ? 'محجوزة بالكامل' : null
+            };
+        });
+
+        if (!closed && !windows.some(slot => slot.available)) {
+            closed = 'لا توجد مواعيد متاحة';
+        }
+
+        return { date: day, label: formatDeliveryDay(day, offset), closed: closed, windows: windows };
+    });
+}
+
+/**
+ * A booked slot in words, e.g. "غداً 21/10، صباحاً (10:00 ص - 1:00 م)"
+ */
+function formatDeliverySlot(slot) {
+    return `${slot.dayLabel}، ${slot.label} (${formatClock(slot.from)} - ${formatClock(slot.to)})`;
+}
+
+// Day and time-window booking on the contact page's order form; without a day the order goes
+// out as soon as possible (getDeliveryEstimate)
+class DeliverySlotPicker {
+    constructor(container, getArea) {
+        this.container = container;
+        this.dateSelect = container.querySelector('#deliveryDate');
+        this.windowsContainer = container.querySelector('.slot-windows');
+        this.errorElement = container.querySelector('.error-message');
+        this.getArea = getArea;
+
+        this.slots = null;
+        this.days = [];
+        this.ready = null;
+
+        this.init();
+    }
+
+    init() {
+        this.dateSelect.addEventListener('change', () => {
+            this.setError('');
+            this.renderWindows();
+        });
+        this.windowsContainer.addEventListener('change', () => {
+            this.setError('');
+            this.windowsContainer.querySelectorAll('.slot-window').forEach(label => {
+                label.classList.toggle('selected', label.querySelector('input').checked);
+            });
+        });
+    }
+
+    load() {
+        // Bookings fill up during the day, so skip the HTTP cache; a failed load is retried next time
+        if (!this.ready) {
+            if (typeof fetch === 'undefined') {
+                return Promise.resolve();
+            }
+
+            // Without an order backend there are no bookings to read, and every window is free
+            const bookings = fetch(CONFIG.deliveryBookingsURL, { cache: 'no-store' })
+                .then(response => response.ok ? response.json() : {})
+                .catch(() => ({}));
+
+            this.ready = Promise.all([fetchJSON(CONFIG.deliverySlotsURL), bookings])
+                .then(([slots, booked]) => {
+                    this.slots = { ...slots, booked: booked };
+                    this.render();
+                })
+                .catch(error => {
+                    console.warn('Could not load delivery slots:', error);
+                    this.ready = null;
+                });
         }
+        return this.ready;
+    }
+
+    render() {
+        if (!this.slots) return;
+
+        const selected = this.dateSelect.value;
+        this.days = getDeliveryDays(this.slots, this.getArea());
 
-        this.renderProducts(filteredProducts);
+        // Keep the "as soon as possible" option and rebuild the days after it
+        this.dateSelect.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+        this.days.forEach(day => {
+            const option = new Option(day.closed ? `${day.label} - ${day.closed}` : day.label, day.date);
+            option.disabled = !!day.closed;
+            this.dateSelect.appendChild(option);
+        });
+
+        const day = this.getDay(selected);
+        this.dateSelect.value = day && !day.closed ? selected : '';
+        this.renderWindows();
     }
 
-    renderProducts(products) {
-        this.productsGrid.innerHTML = ''; // Clear existing products
+    getDay(date = this.dateSelect.value) {
+        return this.days.find(day => day.date === date) || null;
+    }
 
-        if (products.length === 0) {
-            this.productsGrid.innerHTML = '<p class="no-products-found">لا توجد منتجات تطابق بحثك.</p>';
+    renderWindows() {
+        const day = this.getDay();
+        const checked = this.windowsContainer.querySelector('input:checked')?.value;
+
+        this.windowsContainer.hidden = !day;
+        if (!day) {
+            this.windowsContainer.innerHTML = '';
             return;
         }
 
-        const fragment = document.createDocumentFragment();
-        products.forEach(product => {
-            const card = this.createProductCard(product);
-            // The event listener is now attached inside createProductCard
-            fragment.appendChild(card);
-        });
-        this.productsGrid.appendChild(fragment);
+        this.windowsContainer.innerHTML = day.windows.map(slot => {
+            const note = slot.reason || (slot.remaining <= SLOT_LOW_CAPACITY ? `متبقٍ ${slot.remaining}` : '');
+            const isChecked = slot.available && slot.id === checked;
+            return `
+                <label class="slot-window${slot.available ? '' : ' unavailable'}${isChecked ? ' selected' : ''}">
+                    <input type="radio" name="deliverySlot" value="${slot.id}"
+                           ${slot.available ? '' : 'disabled'} ${isChecked ? 'checked' : ''}>
+                    <span class="slot-window-label">${slot.label}</span>
+                    <span class="slot-window-time">${formatClock(slot.from)} - ${formatClock(slot.to)}</span>
+                    ${note ? `<span class="slot-window-note">${note}</span>` : ''}
+                </label>
+            `;
+        }).join('');
     }
 
-    createProductCard(product) {
-        const card = document.createElement('div');
-        // Add 3D hover effect class
-        card.className = 'product-card card-3d-hover';
-        card.dataset.category = product.category;
+    getSlot() {
+        const day = this.getDay();
+        const id = this.windowsContainer.querySelector('input:checked')?.value;
+        const slot = day && day.windows.find(entry => entry.id === id && entry.available);
 
-        const whatsappMessage = encodeURIComponent(`أهلاً، أريد الاستفسار عن منتج: ${product.name}`);
-        const whatsappLink = `https://wa.me/201143343338?text=${whatsappMessage}`;
-        const placeholderImage = 'images/about/product1.jpg';
+        return slot ? {
+            date: day.date,
+            dayLabel: day.label,
+            window: slot.id,
+            label: slot.label,
+            from: slot.from,
+            to: slot.to
+        } : null;
+    }
 
-        card.innerHTML = `
-            <div class="product-image">
-                <img src="${placeholderImage}" alt="${product.name}" loading="lazy">
-                <div class="product-overlay">
-                    <div class="product-actions">
-                        <button class="product-action preview-btn">
-                            👁️ معاينة
-                        </button>
-                        <a href="${whatsappLink}" class="product-action whatsapp" target="_blank">
-                            📱 اطلب الآن
-                        </a>
-                    </div>
-                </div>
-            </div>
-            <div class="product-info">
-                <h3 class="product-title">${product.name}</h3>
-                <p class="product-description">منتج طازج وعالي الجودة</p>
-                <div class="product-price">
-                    <span class="price-range">يبدأ من ${product.price} جنيه/كيلو</span>
-                </div>
-            </div>
-        `;
+    setError(message) {
+        if (this.errorElement) {
+            this.errorElement.textContent = message;
+        }
+        this.container.classList.toggle('error', !!message);
+        if (message) this.container.classList.remove('success');
+    }
 
-        // Attach event listener for the preview button
-        const previewBtn = card.querySelector('.preview-btn');
-        if (previewBtn) {
-            previewBtn.addEventListener('click', (e) => {
-                e.stopPropagation(); // Prevent any parent handlers from firing
-                quickView(product); // Pass the whole product object
-            });
+    validate() {
+        if (this.getDay() && !this.getSlot()) {
+            this.setError('اختر فترة التوصيل في هذا اليوم');
+            return false;
         }
+        this.setError('');
+        return true;
+    }
 
-        return card;
+    reload() {
+        this.ready = null;
+        return this.load();
     }
 
-    updateActiveFilter(activeBtn) {
-        this.filterBtns.forEach(btn => btn.classList.remove('active'));
-        activeBtn.classList.add('active');
+    clear() {
+        this.dateSelect.value = '';
+        this.setError('');
+        this.renderWindows();
+
+        // The order just sent may have taken the last place in a window
+        if (this.slots) {
+            this.reload();
+        }
     }
 }
 
 // ==========================================================================
-// MODAL MANAGEMENT
+// FORM TRANSPORTS
 // ==========================================================================
 
-class ModalManager {
+class SubmissionError extends Error {
+    constructor(message, { retryable = true, status = 0 } = {}) {
+        super(message);
+        this.name = 'SubmissionError';
+        this.retryable = retryable;
+        this.status = status;
+    }
+}
+
+/**
+ * POST a JSON payload and resolve with the response body; failures reject with a SubmissionError
+ */
+function postJSON(url, payload, timeout = CONFIG.formTimeout) {
+    if (typeof fetch === 'undefined') {
+        return Promise.reject(new SubmissionError('المتصفح لا يدعم الإرسال المباشر'));
+    }
+
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), timeout) : null;
+
+    return fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: controller ? controller.signal : undefined
+    })
+        .catch(error => {
+            throw new SubmissionError(error.name === 'AbortError' ? 'انتهت مهلة الاتصال بالخادم' : 'تعذر الاتصال بالخادم');
+        })
+        .then(response => response.json().catch(() => ({})).then(body => {
+            if (!response.ok || body.ok === false) {
+                // Rejected input won't pass on a retry; server trouble and rate limits might
+                const retryable = response.status >= 500 || response.status === 429;
+                throw new SubmissionError(body.error || `تعذر إرسال الطلب (${response.status})`, { retryable, status: response.status });
+            }
+            return body;
+        }))
+        .finally(() => clearTimeout(timer));
+}
+
+// How form payloads are delivered, picked by CONFIG.formTransport. Each transport takes the
+// payload and returns a Promise that rejects with a SubmissionError; add entries to plug in others.
+const FORM_TRANSPORTS = {
+    http: payload => postJSON(CONFIG.formEndpoint, payload)
+};
+
+// ==========================================================================
+// OFFLINE SUBMISSION QUEUE
+// ==========================================================================
+
+// sw.js flushes the same store on Background Sync; keep these names in step with it
+const SUBMISSION_QUEUE_DB = 'alfahd-offline';
+const SUBMISSION_QUEUE_STORE = 'submissions';
+const SUBMISSION_SYNC_TAG = 'submission-queue';
+
+class SubmissionQueue {
     constructor() {
-        this.modals = document.querySelectorAll('.modal');
-        this.activeModal = null;
-        
+        this.db = null;
+    }
+    
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+    
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(SUBMISSION_QUEUE_DB, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(SUBMISSION_QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.db;
+    }
+    
+    run(mode, action) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const request = action(db.transaction(SUBMISSION_QUEUE_STORE, mode).objectStore(SUBMISSION_QUEUE_STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }));
+    }
+    
+    add(endpoint, payload) {
+        return this.run('readwrite', store => store.add({ endpoint, payload, queuedAt: new Date().toISOString() }));
+    }
+    
+    getAll() {
+        return this.run('readonly', store => store.getAll());
+    }
+    
+    remove(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+    
+    count() {
+        return this.run('readonly', store => store.count());
+    }
+}
+
+class OfflineQueueManager {
+    constructor() {
+        this.queue = new SubmissionQueue();
+        this.banner = null;
+        this.pending = 0;
+        this.isFlushing = false;
         this.init();
     }
     
     init() {
-        this.setupEventListeners();
+        if (!this.queue.isSupported()) return;
+        
+        window.addEventListener('online', () => this.handleOnline());
+        window.addEventListener('offline', () => this.renderBanner());
+        
+        // The service worker reports back after flushing the queue on Background Sync
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (e) => {
+                if (e.data && e.data.type === SUBMISSION_SYNC_TAG) {
+                    this.handleFlushed(e.data);
+                }
+            });
+        }
+        
+        // Pick up anything left over from an earlier visit
+        this.refresh().then(() => {
+            if (this.pending > 0 && navigator.onLine !== false) {
+                this.requestFlush();
+            }
+        });
     }
     
-    setupEventListeners() {
-        // Close modal on escape key
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && this.activeModal) {
-                this.closeModal(this.activeModal);
-            }
+    accepts(payload) {
+        return this.queue.isSupported() && CONFIG.offlineQueueForms.includes(payload.form);
+    }
+    
+    enqueue(payload) {
+        const endpoint = new URL(CONFIG.formEndpoint, window.location.href).href;
+        return this.queue.add(endpoint, payload).then(() => {
+            this.requestFlush();
+            return this.refresh();
         });
+    }
+    
+    refresh() {
+        return this.queue.count()
+            .then(count => {
+                this.pending = count;
+                this.renderBanner();
+            })
+            .catch(error => console.warn('Could not read the offline queue:', error));
+    }
+    
+    canBackgroundSync() {
+        return 'serviceWorker' in navigator && !!navigator.serviceWorker.controller &&
+            typeof SyncManager !== 'undefined' && !this.syncUnavailable;
+    }
+    
+    // Only one side sends the queue: the service worker when Background Sync is available,
+    // otherwise the page. Flushing from both could post the same entry twice.
+    requestFlush() {
+        if (!this.canBackgroundSync()) {
+            // Without Background Sync the page sends the queue itself, now or on the next 'online' event
+            if (navigator.onLine !== false) this.flush();
+            return;
+        }
         
-        // Close modal on backdrop click
-        this.modals.forEach(modal => {
-            modal.addEventListener('click', (e) => {
-                if (e.target === modal) {
-                    this.closeModal(modal);
-                }
+        navigator.serviceWorker.ready
+            .then(registration => registration.sync.register(SUBMISSION_SYNC_TAG))
+            .catch(error => {
+                console.warn('Background Sync unavailable, sending from the page instead:', error);
+                this.syncUnavailable = true;
+                this.requestFlush();
             });
-            
-            // Close button
-            const closeBtn = modal.querySelector('.modal-close');
-            if (closeBtn) {
-                closeBtn.addEventListener('click', () => {
-                    this.closeModal(modal);
-                });
+    }
+    
+    handleOnline() {
+        this.renderBanner();
+        
+        // With Background Sync the browser wakes the service worker by itself
+        if (this.pending > 0 && !this.canBackgroundSync()) {
+            this.flush();
+        }
+    }
+    
+    flush() {
+        if (this.isFlushing) return Promise.resolve();
+        this.isFlushing = true;
+        
+        const result = { sent: 0, rejected: 0 };
+        
+        return this.queue.getAll()
+            .then(entries => entries.reduce((chain, entry) => chain.then(() =>
+                postJSON(entry.endpoint, entry.payload)
+                    .then(() => {
+                        result.sent++;
+                        return this.queue.remove(entry.id);
+                    })
+                    .catch(error => {
+                        // Still offline or the server is down: stop and keep the rest for later
+                        if (error.retryable !== false) throw error;
+                        
+                        // The server refused it outright; resending won't change that
+                        console.warn('Dropping queued submission the server rejected:', error);
+                        result.rejected++;
+                        return this.queue.remove(entry.id);
+                    })
+            ), Promise.resolve()))
+            .catch(error => console.warn('Offline queue not flushed yet:', error))
+            .then(() => {
+                this.isFlushing = false;
+                this.handleFlushed(result);
+            });
+    }
+    
+    handleFlushed({ sent = 0, rejected = 0 }) {
+        this.refresh().then(() => {
+            if (sent > 0 && this.pending === 0) {
+                this.renderBanner('sent', sent === 1 ? '✓ تم إرسال رسالتك المعلقة بنجاح' : `✓ تم إرسال ${sent} رسائل معلقة بنجاح`);
+                setTimeout(() => this.renderBanner(), 5000);
+            } else if (rejected > 0) {
+                this.renderBanner('error', 'تعذر إرسال رسالة معلقة، يرجى التواصل معنا عبر واتساب');
+                setTimeout(() => this.renderBanner(), 8000);
             }
         });
     }
     
-    openModal(modalId) {
-        const modal = document.getElementById(modalId);
-        if (!modal) return;
+    getBanner() {
+        if (!this.banner) {
+            this.banner = document.createElement('div');
+            this.banner.className = 'offline-banner';
+            this.banner.setAttribute('role', 'status');
+            this.banner.hidden = true;
+            this.banner.innerHTML = `
+                <span class="offline-banner-message"></span>
+                <button type="button" class="offline-banner-btn">إرسال الآن</button>
+            `;
+            this.banner.querySelector('.offline-banner-btn').addEventListener('click', () => this.requestFlush());
+            document.body.appendChild(this.banner);
+        }
+        return this.banner;
+    }
+    
+    renderBanner(type = null, message = '') {
+        if (!type && this.pending === 0) {
+            if (this.banner) this.banner.hidden = true;
+            return;
+        }
         
-        modal.classList.add('show');
-        document.body.style.overflow = 'hidden';
-        this.activeModal = modal;
+        const banner = this.getBanner();
+        const isOnline = navigator.onLine !== false;
         
-        // Focus trap
-        this.trapFocus(modal);
+        if (!type) {
+            type = 'pending';
+            const items = this.pending === 1 ? 'رسالتك' : `${this.pending} رسائل`;
+            message = isOnline
+                ? `⏳ ${items} في انتظار الإرسال`
+                : `⏳ ${items} في انتظار الإرسال، وسيتم الإرسال تلقائياً عند عودة الاتصال`;
+        }
+        
+        banner.className = `offline-banner ${type}`;
+        banner.querySelector('.offline-banner-message').textContent = message;
+        banner.querySelector('.offline-banner-btn').hidden = type !== 'pending' || !isOnline;
+        banner.hidden = false;
+    }
+}
+
+// ==========================================================================
+// ORDER PICKER (Contact page order requests)
+// ==========================================================================
+
+class OrderPicker {
+    constructor(container) {
+        this.container = container;
+        this.searchInput = container.querySelector('#orderProductSearch');
+        this.suggestionsContainer = container.querySelector('#orderSuggestions');
+        this.itemsContainer = container.querySelector('#orderItems');
+        this.totalElement = container.querySelector('#orderTotal');
+        this.subtotalElement = container.querySelector('#orderSubtotal');
+        this.deliveryFeeElement = container.querySelector('#orderDeliveryFee');
+        this.errorElement = container.querySelector('.order-picker .error-message');
+
+        const deliverySelect = container.querySelector('#deliveryArea');
+        this.delivery = deliverySelect
+            ? new DeliveryPicker(deliverySelect, container.querySelector('#orderDeliveryEstimate'), () => this.handleAreaChange())
+            : null;
+
+        // Which of today's windows are still reachable depends on the area
+        const schedule = container.querySelector('#deliverySchedule');
+        this.schedule = schedule
+            ? new DeliverySlotPicker(schedule, () => this.delivery && this.delivery.getArea())
+            : null;
+
+        // Picked lines share the cart's item shape, so formatOrderLine and tier pricing apply as-is
+        this.items = [];
+        this.products = [];
+        this.fuse = null;
+        this.ready = null;
+
+        this.init();
+    }
+
+    init() {
+        if (this.searchInput) {
+            this.searchInput.addEventListener('input', () => this.handleSearchInput());
+            this.searchInput.addEventListener('keydown', (e) => {
+                // Enter picks the top suggestion instead of submitting the form
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    const first = this.suggestionsContainer?.querySelector('.suggestion-item');
+                    if (first) first.click();
+                }
+            });
+        }
+
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.order-picker')) this.hideSuggestions();
+        });
+
+        if (this.itemsContainer) {
+            this.itemsContainer.addEventListener('click', (e) => {
+                const control = e.target.closest('[data-action]');
+                const item = this.findItem(control?.closest('.order-item')?.dataset.id);
+                if (!item) return;
+
+                switch (control.dataset.action) {
+                    case 'increase':
+                        this.updateQuantity(item.id, item.quantity + item.step);
+                        break;
+                    case 'decrease':
+                        this.updateQuantity(item.id, item.quantity - item.step);
+                        break;
+                    case 'remove':
+                        this.removeItem(item.id);
+                        break;
+                }
+            });
+
+            this.itemsContainer.addEventListener('change', (e) => {
+                if (e.target.classList.contains('cart-qty-input')) {
+                    this.updateQuantity(e.target.closest('.order-item').dataset.id, parseFloat(e.target.value));
+                }
+            });
+        }
+
+        this.render();
+    }
+
+    load() {
+        if (this.schedule) {
+            this.schedule.load();
+        }
+
+        // Same source as the products page: the catalog feed, or the bundled copy when it can't be loaded
+        if (!this.ready) {
+            const bundled = { products: typeof productsData !== 'undefined' ? productsData : [] };
+            this.ready = new CatalogLoader(CONFIG.catalogURL).load()
+                .catch(error => {
+                    console.warn('Could not load the catalog feed, using the bundled catalog instead:', error);
+                    return bundled;
+                })
+                .then(catalog => this.setProducts(catalog.products));
+        }
+        return this.ready;
+    }
+
+    setProducts(products) {
+        this.products = products.filter(product => getProductAvailability(product).orderable);
+        if (typeof Fuse !== 'undefined') {
+            this.fuse = new Fuse(buildSearchIndex(this.products), PRODUCT_SEARCH_OPTIONS);
+        }
+    }
+
+    handleSearchInput() {
+        const term = this.searchInput.value.trim();
+        if (!term) {
+            this.hideSuggestions();
+            return;
+        }
+
+        // Without Fuse (e.g. the CDN is unreachable) fall back to a plain substring match
+        const query = normalizeArabic(term);
+        const matches = this.fuse
+            ? this.fuse.search(query).map(result => result.item.product)
+            : this.products.filter(product => normalizeArabic(product.name).includes(query));
+
+        this.displaySuggestions(matches.slice(0, 6));
+    }
+
+    displaySuggestions(products) {
+        if (!this.suggestionsContainer) return;
+
+        if (products.length === 0) {
+            this.suggestionsContainer.innerHTML = '<div class="suggestion-empty">لا توجد منتجات مطابقة</div>';
+            this.suggestionsContainer.hidden = false;
+            return;
+        }
+
+        this.suggestionsContainer.innerHTML = '';
+        products.forEach(product => {
+            const item = document.createElement('div');
+            item.className = 'suggestion-item';
+            item.setAttribute('role', 'option');
+            item.innerHTML = `
+                <span class="suggestion-name"></span>
+                <span class="suggestion-price">${formatPrice(product.price)}/${getProductUnit(product).label}</span>
+            `;
+            item.querySelector('.suggestion-name').textContent = product.name;
+            item.addEventListener('click', () => {
+                this.addProduct(product);
+                this.searchInput.value = '';
+                this.hideSuggestions();
+                this.searchInput.focus();
+            });
+            this.suggestionsContainer.appendChild(item);
+        });
+        this.suggestionsContainer.hidden = false;
+    }
+
+    hideSuggestions() {
+        if (this.suggestionsContainer) {
+            this.suggestionsContainer.hidden = true;
+        }
+    }
+
+    findItem(id) {
+        return this.items.find(item => item.id === id);
+    }
+
+    addProduct(product) {
+        const unit = getProductUnit(product);
+        const existingItem = this.findItem(product.id);
+
+        if (existingItem) {
+            existingItem.quantity = snapQuantity(existingItem.quantity + unit.step, existingItem);
+        } else {
+            this.items.push({
+                id: product.id,
+                name: product.name,
+                price: product.price,
+                priceTiers: getPriceTiers(product),
+                quantity: unit.minQuantity,
+                ...unit
+            });
+        }
+
+        this.setError('');
+        this.render();
     }
-    
-    closeModal(modal) {
-        if (!modal) return;
-        
-        modal.classList.remove('show');
-        document.body.style.overflow = '';
-        this.activeModal = null;
+
+    updateQuantity(id, quantity) {
+        const item = this.findItem(id);
+        if (!item) return;
+
+        if (isNaN(quantity) || quantity <= 0) {
+            this.removeItem(id);
+            return;
+        }
+
+        item.quantity = snapQuantity(quantity, item);
+        this.render();
     }
-    
-    trapFocus(modal) {
-        const focusableElements = modal.querySelectorAll(
-            'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-        );
-        
-        if (focusableElements.length === 0) return;
-        
-        const firstFocusable = focusableElements[0];
-        const lastFocusable = focusableElements[focusableElements.length - 1];
-        
-        firstFocusable.focus();
-        
-        modal.addEventListener('keydown', (e) => {
-            if (e.key === 'Tab') {
-                if (e.shiftKey) {
-                    if (document.activeElement === firstFocusable) {
-                        lastFocusable.focus();
-                        e.preventDefault();
-                    }
-                } else {
-                    if (document.activeElement === lastFocusable) {
-                        firstFocusable.focus();
-                        e.preventDefault();
-                    }
-                }
-            }
-        });
+
+    removeItem(id) {
+        this.items = this.items.filter(item => item.id !== id);
+        this.render();
     }
-}
 
-// Global functions for modal management
-function quickView(product) {
-    const modal = document.getElementById('quickViewModal');
-    if (!modal || !product) return;
+    clear() {
+        this.items = [];
+        if (this.searchInput) this.searchInput.value = '';
+        this.hideSuggestions();
+        this.setError('');
+        // A form reset empties the area select; put the customer's area back
+        if (this.delivery) this.delivery.restore();
+        if (this.schedule) this.schedule.clear();
+        this.render();
+    }
 
-    // Get modal elements
-    const modalTitle = modal.querySelector('#modalTitle');
-    const modalImage = modal.querySelector('#modalImage');
-    const modalDescription = modal.querySelector('#modalDescription');
-    const modalPrice = modal.querySelector('#modalPrice');
-    const modalWhatsappBtn = modal.querySelector('#modalWhatsappBtn');
+    getLineTotal(item) {
+        return getTierPrice(item, item.quantity) * item.quantity;
+    }
 
-    // Populate modal content
-    if (modalTitle) modalTitle.textContent = product.name;
-    if (modalImage) {
-        modalImage.src = 'images/about/product1.jpg'; // Using placeholder
-        modalImage.alt = product.name;
+    getTotal() {
+        return this.items.reduce((total, item) => total + this.getLineTotal(item), 0);
     }
-    if (modalDescription) {
-        modalDescription.textContent = "منتج طازج وعالي الجودة، متوفر الآن لدى الفهد للمأكولات البحرية. اطلبه الآن!";
+
+    getDeliveryQuote() {
+        return this.delivery ? this.delivery.getQuote(this.getTotal()) : null;
     }
-    if (modalPrice) {
-        modalPrice.textContent = `يبدأ من ${product.price} جنيه/كيلو`;
+
+    getDeliverySlot() {
+        return this.schedule ? this.schedule.getSlot() : null;
     }
 
-    // Update WhatsApp button link
-    if (modalWhatsappBtn) {
-        const message = `أهلاً، أريد الاستفسار عن منتج: ${product.name}`;
-        modalWhatsappBtn.href = `https://wa.me/201143343338?text=${encodeURIComponent(message)}`;
+    handleAreaChange() {
+        this.render();
+        if (this.schedule) {
+            this.schedule.render();
+        }
     }
 
-    // Open modal
-    if (window.modalManager) {
-        window.modalManager.openModal('quickViewModal');
+    render() {
+        const subtotal = this.getTotal();
+        const quote = this.getDeliveryQuote();
+
+        if (this.subtotalElement) {
+            this.subtotalElement.textContent = formatPrice(subtotal);
+        }
+        if (this.deliveryFeeElement) {
+            this.deliveryFeeElement.textContent = formatDeliveryFee(quote);
+        }
+        if (this.totalElement) {
+            this.totalElement.textContent = formatPrice(quote ? quote.total : subtotal);
+        }
+        if (this.delivery) {
+            this.delivery.render(subtotal);
+        }
+
+        if (!this.itemsContainer) return;
+
+        if (this.items.length === 0) {
+            this.itemsContainer.innerHTML = '<p class="order-empty">ابحث عن المنتجات التي تحتاجها وأضفها إلى الطلب.</p>';
+            return;
+        }
+
+        this.itemsContainer.innerHTML = this.items.map(item => `
+            <div class="order-item" data-id="${escapeHTML(item.id)}">
+                <div class="order-item-info">
+                    <span class="order-item-name">${escapeHTML(item.name)}</span>
+                    <span class="order-item-price">${formatPrice(getTierPrice(item, item.quantity))}/${escapeHTML(item.label)}</span>
+                </div>
+                <div class="cart-item-controls">
+                    <button type="button" class="cart-qty-btn" data-action="decrease" aria-label="تقليل الكمية">−</button>
+                    <input type="number" class="cart-qty-input" value="${escapeHTML(item.quantity)}"
+                           min="${escapeHTML(item.minQuantity)}" step="${escapeHTML(item.step)}" aria-label="الكمية (${escapeHTML(item.label)})">
+                    <button type="button" class="cart-qty-btn" data-action="increase" aria-label="زيادة الكمية">+</button>
+                    <span class="cart-qty-unit">${escapeHTML(item.label)}</span>
+                </div>
+                <span class="order-item-subtotal">${formatPrice(this.getLineTotal(item))}</span>
+                <button type="button" class="cart-remove-btn" data-action="remove" aria-label="حذف من الطلب">🗑️</button>
+            </div>
+        `).join('');
     }
-}
 
-function closeQuickView() {
-    const modal = document.getElementById('quickViewModal');
-    if (modal && window.modalManager) {
-        window.modalManager.closeModal(modal);
+    setError(message) {
+        if (this.errorElement) {
+            this.errorElement.textContent = message;
+        }
+        const group = this.container.querySelector('.order-picker');
+        if (group) {
+            group.classList.toggle('error', !!message);
+            group.classList.remove('success');
+        }
     }
-}
 
-function closeSuccessModal() {
-    const modal = document.getElementById('successModal');
-    if (modal && window.modalManager) {
-        window.modalManager.closeModal(modal);
+    validate() {
+        const scheduleValid = this.schedule ? this.schedule.validate() : true;
+
+        if (this.items.length === 0) {
+            this.setError('أضف منتج واحد على الأقل للطلب');
+            return false;
+        }
+        this.setError('');
+        return scheduleValid;
+    }
+
+    /**
+     * The picked lines as sent to the backend, with the prices the customer saw
+     */
+    getOrder() {
+        const quote = this.getDeliveryQuote();
+        const slot = this.getDeliverySlot();
+
+        return {
+            items: this.items.map(item => ({
+                id: item.id,
+                name: item.name,
+                quantity: item.quantity,
+                unit: item.unit,
+                unitPrice: getTierPrice(item, item.quantity),
+                subtotal: this.getLineTotal(item)
+            })),
+            subtotal: this.getTotal(),
+            // A booked slot, or else the earliest delivery as estimated now
+            delivery: quote ? {
+                area: quote.area.id,
+                fee: quote.fee,
+                scheduled: !!slot,
+                date: slot ? slot.date : quote.estimate && quote.estimate.date,
+                window: slot ? [slot.from, slot.to] : quote.estimate && [quote.estimate.from, quote.estimate.to]
+            } : null,
+            total: quote ? quote.total : this.getTotal()
+        };
     }
 }
 
@@ -903,8 +4139,10 @@ function closeSuccessModal() {
 // ==========================================================================
 
 class FormManager {
-    constructor() {
+    constructor(offlineQueue = null) {
         this.forms = document.querySelectorAll('form');
+        this.transport = FORM_TRANSPORTS[CONFIG.formTransport] || FORM_TRANSPORTS.http;
+        this.offlineQueue = offlineQueue;
         this.init();
     }
     
@@ -944,6 +4182,43 @@ class FormManager {
                 this.sendViaWhatsApp(form);
             });
         }
+        
+        // Choosing "طلب جديد" swaps the free-text message for a structured order
+        const orderFields = document.getElementById('orderFields');
+        const subjectSelect = form.querySelector('[name="subject"]');
+        if (orderFields && subjectSelect) {
+            this.orderFields = orderFields;
+            this.orderPicker = new OrderPicker(orderFields);
+            subjectSelect.addEventListener('change', () => this.toggleOrderMode(form));
+            this.toggleOrderMode(form);
+        }
+    }
+    
+    isOrder(form) {
+        return !!this.orderPicker && form.querySelector('[name="subject"]')?.value === 'order';
+    }
+    
+    toggleOrderMode(form) {
+        const isOrder = this.isOrder(form);
+        this.orderFields.hidden = !isOrder;
+        
+        // Fields marked data-order-required are only required for orders; the message becomes optional notes
+        this.orderFields.querySelectorAll('[data-order-required]').forEach(field => {
+            field.required = isOrder;
+        });
+        
+        const message = form.querySelector('[name="message"]');
+        const messageLabel = message && form.querySelector(`label[for="${message.id}"]`);
+        if (message && messageLabel) {
+            messageLabel.dataset.defaultLabel = messageLabel.dataset.defaultLabel || messageLabel.textContent;
+            messageLabel.textContent = isOrder ? messageLabel.dataset.orderLabel : messageLabel.dataset.defaultLabel;
+            message.required = !isOrder;
+            this.clearFieldError(message);
+        }
+        
+        if (isOrder) {
+            this.orderPicker.load();
+        }
     }
     
     validateField(field) {
@@ -966,9 +4241,12 @@ class FormManager {
         }
         
         // Phone validation
-        if (field.type === 'tel' && field.value.trim() && !CONFIG.phoneRegex.test(field.value)) {
-            isValid = false;
-            errorMessage = 'يرجى إدخال رقم تليفون صحيح';
+        if (field.type === 'tel' && field.value.trim()) {
+            const phone = parseEgyptianPhone(field.value);
+            if (!phone.valid) {
+                isValid = false;
+                errorMessage = phone.error;
+            }
         }
         
         // Update field state
@@ -1018,6 +4296,10 @@ class FormManager {
             }
         });
         
+        if (this.isOrder(form) && !this.orderPicker.validate()) {
+            isFormValid = false;
+        }
+        
         return isFormValid;
     }
     
@@ -1029,29 +4311,136 @@ class FormManager {
         }
         
         STATE.isFormSubmitting = true;
+        this.hideFormStatus(form);
+        this.setLoadingState(form, true);
+        
+        const payload = this.buildPayload(form);
+        const request = navigator.onLine === false
+            ? Promise.reject(new SubmissionError('لا يوجد اتصال بالإنترنت'))
+            : this.transport(payload);
+        
+        return request
+            .then(() => this.handleFormSuccess(form))
+            .catch(error => this.handleFormError(form, error, payload))
+            .finally(() => {
+                STATE.isFormSubmitting = false;
+                this.setLoadingState(form, false);
+            });
+    }
+    
+    buildPayload(form) {
+        const fields = {};
+        new FormData(form).forEach((value, key) => {
+            if (String(value).trim()) {
+                fields[key] = this.getFieldValue(form, key, String(value).trim());
+            }
+        });
+        
+        const payload = {
+            form: form.dataset.form || form.id || 'form',
+            fields: fields,
+            page: window.location.pathname,
+            submittedAt: new Date().toISOString()
+        };
+        
+        if (this.isOrder(form)) {
+            payload.form = 'order';
+            payload.order = this.orderPicker.getOrder();
+        }
         
-        // Show loading state
+        return payload;
+    }
+    
+    setLoadingState(form, isLoading) {
         const submitBtn = form.querySelector('[type="submit"]');
         if (submitBtn) {
-            submitBtn.classList.add('loading');
-            submitBtn.disabled = true;
+            submitBtn.classList.toggle('loading', isLoading);
+            submitBtn.disabled = isLoading;
+        }
+    }
+    
+    getFormStatus(form) {
+        let status = form.querySelector('.form-status');
+        if (!status) {
+            status = document.createElement('div');
+            status.className = 'form-status';
+            status.setAttribute('role', 'alert');
+            status.hidden = true;
+            status.innerHTML = `
+                <p class="form-status-message"></p>
+                <button type="button" class="btn btn-outline btn-sm form-retry-btn">🔄 إعادة المحاولة</button>
+                <button type="button" class="btn btn-primary btn-sm form-send-btn" hidden>📨 إرسال عبر النموذج</button>
+                <button type="button" class="btn btn-outline btn-sm form-whatsapp-btn" hidden>📱 متابعة على واتساب</button>
+            `;
+            // Retrying re-reads the form, so corrections made in the meantime are sent
+            status.querySelector('.form-retry-btn').addEventListener('click', () => this.handleFormSubmission(form));
+            // Outside working hours: leave the message through the form (queued if offline) or message anyway
+            status.querySelector('.form-send-btn').addEventListener('click', () => this.handleFormSubmission(form));
+            status.querySelector('.form-whatsapp-btn').addEventListener('click', () => {
+                this.hideFormStatus(form);
+                this.openWhatsApp(form);
+            });
+            form.appendChild(status);
         }
+        return status;
+    }
+    
+    showFormStatus(form, type, message, canRetry = false) {
+        const status = this.getFormStatus(form);
+        status.className = `form-status ${type}`;
+        status.querySelector('.form-status-message').textContent = message;
+        status.querySelector('.form-retry-btn').hidden = !canRetry;
+        status.querySelector('.form-send-btn').hidden = true;
+        status.querySelector('.form-whatsapp-btn').hidden = true;
+        status.hidden = false;
+    }
+    
+    showClosedNotice(form, opensAt) {
+        this.showFormStatus(form, 'pending', `نحن خارج مواعيد العمل الآن، وسنرد على واتساب ${formatOpeningTime(opensAt)}. يمكنك إرسال رسالتك عبر النموذج وستصلنا فور فتح المحل.`);
         
-        // Simulate form submission (replace with actual API call)
-        setTimeout(() => {
-            this.handleFormSuccess(form);
-            STATE.isFormSubmitting = false;
-            
-            // Reset button state
-            if (submitBtn) {
-                submitBtn.classList.remove('loading');
-                submitBtn.disabled = false;
-            }
-        }, 2000);
+        const status = this.getFormStatus(form);
+        status.querySelector('.form-send-btn').hidden = false;
+        status.querySelector('.form-whatsapp-btn').hidden = false;
     }
     
-    handleFormSuccess(form) {
-        // Reset form
+    hideFormStatus(form) {
+        const status = form.querySelector('.form-status');
+        if (status) {
+            status.hidden = true;
+        }
+    }
+    
+    handleFormError(form, error, payload) {
+        console.warn('Form submission failed:', error);
+        
+        // Connection trouble: keep contact and order messages and send them once back online
+        if (error.retryable !== false && this.offlineQueue && this.offlineQueue.accepts(payload)) {
+            return this.offlineQueue.enqueue(payload)
+                .then(() => this.handleFormQueued(form))
+                .catch(queueError => {
+                    console.warn('Could not queue submission:', queueError);
+                    this.showFormStatus(form, 'error', `${error.message}، لم يتم الإرسال. حاول مرة أخرى أو تواصل معنا عبر واتساب.`, true);
+                });
+        }
+        
+        // Someone else took the last place in the booked slot; show what's left
+        if (error.status === 409 && this.orderPicker && this.orderPicker.schedule) {
+            this.orderPicker.schedule.reload();
+        }
+        
+        if (error.retryable === false) {
+            this.showFormStatus(form, 'error', error.message);
+        } else {
+            this.showFormStatus(form, 'error', `${error.message}، لم يتم الإرسال. حاول مرة أخرى أو تواصل معنا عبر واتساب.`, true);
+        }
+    }
+    
+    handleFormQueued(form) {
+        this.resetForm(form);
+        this.showFormStatus(form, 'pending', 'تعذر الإرسال الآن، تم حفظ رسالتك وسيتم إرسالها تلقائياً عند عودة الاتصال.');
+    }
+    
+    resetForm(form) {
         form.reset();
         
         // Clear validation states
@@ -1060,9 +4449,20 @@ class FormManager {
             group.classList.remove('success', 'error');
         });
         
-        // Show success modal
-        if (window.modalManager) {
+        if (this.orderPicker && form.contains(this.orderFields)) {
+            this.orderPicker.clear();
+            this.toggleOrderMode(form);
+        }
+    }
+    
+    handleFormSuccess(form) {
+        this.resetForm(form);
+        
+        // Show success modal; pages without one confirm inline
+        if (window.modalManager && document.getElementById('successModal')) {
             window.modalManager.openModal('successModal');
+        } else {
+            this.showFormStatus(form, 'success', 'تم الإرسال بنجاح، شكراً لك!');
         }
     }
     
@@ -1071,22 +4471,91 @@ class FormManager {
             return;
         }
         
-        const formData = new FormData(form);
-        let message = 'أهلاً، أريد التواصل معكم:\n\n';
-        
-        // Build message from form data
-        for (let [key, value] of formData.entries()) {
-            if (value.trim()) {
-                const fieldLabel = this.getFieldLabel(form, key);
-                message += `${fieldLabel}: ${value}\n`;
-            }
+        // Nobody reads WhatsApp after hours; offer the form so the message isn't left unanswered
+        const hours = getBusinessHoursStatus();
+        if (!hours.open) {
+            this.showClosedNotice(form, hours.opensAt);
+            return;
         }
         
+        this.hideFormStatus(form);
+        this.openWhatsApp(form);
+    }
+    
+    openWhatsApp(form) {
+        const message = this.isOrder(form) ? this.buildOrderMessage(form) : this.buildContactMessage(form);
+        
         // Open WhatsApp
-        const whatsappURL = generateWhatsAppURL(message);
+        const whatsappURL = generateWhatsAppURL(message, this.getWhatsAppDepartment(form));
         window.open(whatsappURL, '_blank');
     }
     
+    getWhatsAppDepartment(form) {
+        // Each subject goes to the agents who handle it (SITE_CONFIG.whatsappRouting)
+        const subject = form.querySelector('[name="subject"]')?.value;
+        return SITE_CONFIG.whatsappRouting[subject] || 'retail';
+    }
+    
+    buildContactMessage(form) {
+        return renderMessage('contactRequest', { details: this.formatFields(form) });
+    }
+    
+    buildOrderMessage(form) {
+        const order = this.orderPicker;
+        const field = name => {
+            const value = form.querySelector(`[name="${name}"]`)?.value.trim();
+            return value ? this.getFieldText(form, name, value) : '';
+        };
+        
+        const quote = order.getDeliveryQuote();
+        const delivery = getDeliveryMessageValues(quote);
+        const slot = order.getDeliverySlot();
+        
+        return renderMessage('orderForm', {
+            customer: field('name'),
+            items: order.items.map((item, index) => formatOrderLine(item, index)),
+            total: quote ? quote.total : order.getTotal(),
+            ...delivery,
+            address: field('address'),
+            slot: slot ? formatDeliverySlot(slot) : '',
+            // A booked slot replaces the earliest estimate
+            eta: slot ? '' : delivery.eta,
+            details: this.formatFields(form, ['subject', 'name', 'deliveryArea', 'address', 'deliveryDate', 'deliverySlot'])
+        });
+    }
+    
+    formatFields(form, skip = []) {
+        const lines = [];
+        
+        // One "label: value" line per filled-in field
+        for (let [key, value] of new FormData(form).entries()) {
+            if (value.trim() && !skip.includes(key)) {
+                lines.push(renderMessage('field', {
+                    label: this.getFieldLabel(form, key),
+                    value: this.getFieldText(form, key, value.trim())
+                }));
+            }
+        }
+        
+        return lines;
+    }
+    
+    getFieldValue(form, fieldName, value) {
+        // Phone numbers are sent in E.164 however they were typed
+        const field = form.querySelector(`[name="${fieldName}"]`);
+        if (field && field.type === 'tel') {
+            return parseEgyptianPhone(value).e164 || value;
+        }
+        return value;
+    }
+    
+    getFieldText(form, fieldName, value) {
+        // Selects read better by their option text than their value
+        const field = form.querySelector(`[name="${fieldName}"]`);
+        const option = field && field.tagName === 'SELECT' ? field.querySelector(`option[value="${value}"]`) : null;
+        return option ? option.textContent.trim() : this.getFieldValue(form, fieldName, value);
+    }
+    
     getFieldLabel(form, fieldName) {
         const field = form.querySelector(`[name="${fieldName}"]`);
         if (!field) return fieldName;
@@ -1187,6 +4656,70 @@ class ScrollToTop {
     }
 }
 
+// ==========================================================================
+// CONTACT LINKS
+// ==========================================================================
+
+// Rewrites the static contact links in the HTML from SITE_CONFIG so numbers can't drift between pages
+class ContactLinksManager {
+    constructor() {
+        this.init();
+    }
+    
+    init() {
+        document.querySelectorAll('a[href*="wa.me/"]').forEach(link => this.rewriteWhatsAppLink(link));
+        document.querySelectorAll('a[href^="tel:"]').forEach(link => this.rewritePhoneLink(link));
+        document.querySelectorAll('a[href^="mailto:"]').forEach(link => this.rewriteEmailLink(link));
+        document.querySelectorAll('a[href*="maps.google."]').forEach(link => {
+            link.href = SITE_CONFIG.address.mapURL;
+        });
+        document.querySelectorAll('[data-address]').forEach(element => this.showAddress(element));
+    }
+    
+    rewriteWhatsAppLink(link) {
+        // Keep the prefilled message; only the number comes from the config
+        const text = new URL(link.href, window.location.href).searchParams.get('text') || '';
+        link.href = generateWhatsAppURL(text, link.dataset.whatsapp);
+        
+        if (this.isShownNumber(link)) {
+            this.showNumber(link, SITE_CONFIG.whatsapp[link.dataset.whatsapp] || SITE_CONFIG.whatsapp.retail);
+        }
+    }
+    
+    rewritePhoneLink(link) {
+        link.href = `tel:${SITE_CONFIG.phone}`;
+        
+        if (this.isShownNumber(link)) {
+            this.showNumber(link, SITE_CONFIG.phone);
+        }
+    }
+    
+    rewriteEmailLink(link) {
+        const email = SITE_CONFIG.email[link.dataset.email] || SITE_CONFIG.email.info;
+        link.href = `mailto:${email}`;
+        
+        if (link.textContent.includes('@')) {
+            link.textContent = email;
+        }
+    }
+    
+    showAddress(element) {
+        const { street, city, country, landmark } = SITE_CONFIG.address;
+        element.textContent = element.dataset.address === 'landmark' ? landmark : [street, city, country].join('، ');
+    }
+    
+    isShownNumber(link) {
+        // Links whose text is the number itself, as opposed to "اتصل الآن" or an icon
+        return /^[\d\s+\-]{8,}$/.test(link.textContent.trim());
+    }
+    
+    showNumber(link, number) {
+        // Isolated left-to-right so the plus stays in front of the number inside Arabic text
+        link.textContent = number;
+        link.dir = 'ltr';
+    }
+}
+
 // ==========================================================================
 // WHATSAPP INTEGRATION
 // ==========================================================================
@@ -1254,25 +4787,33 @@ class PerformanceOptimizer {
         this.setupPrefetch();
     }
     
-    optimizeImages() {
-        // Lazy loading for images
-        if ('IntersectionObserver' in window) {
-            const images = document.querySelectorAll('img[loading="lazy"]');
-            
-            const imageObserver = new IntersectionObserver((entries) => {
+    optimizeImages(root = document) {
+        // Lazy loading for images, including ones rendered after page load
+        const images = root.querySelectorAll('img[loading="lazy"]');
+        
+        if (!('IntersectionObserver' in window)) {
+            images.forEach(img => this.loadImage(img));
+            return;
+        }
+        
+        if (!this.imageObserver) {
+            this.imageObserver = new IntersectionObserver((entries) => {
                 entries.forEach(entry => {
                     if (entry.isIntersecting) {
-                        const img = entry.target;
-                        if (img.dataset.src) {
-                            img.src = img.dataset.src;
-                            img.removeAttribute('data-src');
-                        }
-                        imageObserver.unobserve(img);
+                        this.loadImage(entry.target);
+                        this.imageObserver.unobserve(entry.target);
                     }
                 });
             });
-            
-            images.forEach(img => imageObserver.observe(img));
+        }
+        
+        images.forEach(img => this.imageObserver.observe(img));
+    }
+    
+    loadImage(img) {
+        if (img.dataset.src) {
+            img.src = img.dataset.src;
+            img.removeAttribute('data-src');
         }
     }
     
@@ -1444,17 +4985,64 @@ class FABManager {
     constructor() {
         this.fabContainer = document.querySelector('.fab-container');
         this.fabMainBtn = document.getElementById('fab-main-btn');
+        this.fabMenu = this.fabContainer?.querySelector('.fab-menu');
+        this.installPrompt = null;
+        this.installBtn = null;
         this.init();
     }
 
     init() {
         if (!this.fabContainer || !this.fabMainBtn) return;
         this.fabMainBtn.addEventListener('click', () => this.toggleMenu());
+
+        // The browser only offers installation once the manifest and service worker qualify;
+        // hold on to its prompt and show our own entry instead of the default mini-infobar
+        window.addEventListener('beforeinstallprompt', (e) => {
+            e.preventDefault();
+            this.installPrompt = e;
+            this.showInstallAction();
+        });
+
+        window.addEventListener('appinstalled', () => this.hideInstallAction());
     }
 
     toggleMenu() {
         this.fabContainer.classList.toggle('active');
     }
+
+    showInstallAction() {
+        if (!this.fabMenu) return;
+
+        if (!this.installBtn) {
+            this.installBtn = document.createElement('button');
+            this.installBtn.type = 'button';
+            this.installBtn.className = 'fab-action fab-install';
+            this.installBtn.setAttribute('aria-label', 'تثبيت التطبيق');
+            this.installBtn.title = 'ثبّت تطبيق الفهد على جهازك';
+            this.installBtn.textContent = '📲';
+            this.installBtn.addEventListener('click', () => this.promptInstall());
+            this.fabMenu.appendChild(this.installBtn);
+        }
+        this.installBtn.hidden = false;
+    }
+
+    hideInstallAction() {
+        this.installPrompt = null;
+        if (this.installBtn) {
+            this.installBtn.hidden = true;
+        }
+    }
+
+    promptInstall() {
+        if (!this.installPrompt) return;
+
+        const installPrompt = this.installPrompt;
+        this.fabContainer.classList.remove('active');
+        installPrompt.prompt();
+
+        // A prompt can only be shown once; the browser fires beforeinstallprompt again if it's dismissed
+        installPrompt.userChoice.finally(() => this.hideInstallAction());
+    }
 }
 
 
@@ -1462,6 +5050,12 @@ class FABManager {
 // THEME MANAGER (Dark/Light Mode)
 // ==========================================================================
 
+// Browser toolbar colour for each theme; manifest.webmanifest declares the light one
+const THEME_COLORS = {
+    light: '#0d7377',
+    dark: '#0f172a'
+};
+
 class ThemeManager {
     constructor() {
         this.toggleButton = document.getElementById('theme-toggle');
@@ -1509,6 +5103,11 @@ class ThemeManager {
 
     setTheme(theme) {
         document.documentElement.setAttribute('data-theme', theme);
+
+        const themeColorMeta = document.querySelector('meta[name="theme-color"]');
+        if (themeColorMeta) {
+            themeColorMeta.setAttribute('content', THEME_COLORS[theme] || THEME_COLORS.light);
+        }
         // You might need to add classes to the toggle button here if you style the sun/moon icons
     }
 }
@@ -1536,13 +5135,16 @@ class AlFahdApp {
     initializeComponents() {
         try {
             // Initialize core components
+            this.components.contactLinks = new ContactLinksManager();
             this.components.themeManager = new ThemeManager();
             this.components.scrollProgress = new ScrollProgressBar();
             this.components.fab = new FABManager();
             this.components.preloader = new PreloaderManager();
             this.components.navigation = new NavigationManager();
             this.components.modal = new ModalManager();
-            this.components.form = new FormManager();
+            this.components.cart = new CartManager();
+            this.components.offlineQueue = new OfflineQueueManager();
+            this.components.form = new FormManager(this.components.offlineQueue);
             this.components.scrollToTop = new ScrollToTop();
             this.components.whatsapp = new WhatsAppManager();
             this.components.accessibility = new AccessibilityManager();
@@ -1554,6 +5156,12 @@ class AlFahdApp {
             // Make components globally available
             this.exposeGlobalComponents();
             
+            // Deep-linked products open in the quick view once the catalog has loaded
+            if (this.components.productsFilter) {
+                const productsFilter = this.components.productsFilter;
+                productsFilter.ready.then(() => productsFilter.openProductFromURL());
+            }
+            
             // Hide preloader after initialization
             setTimeout(() => {
                 this.components.preloader.hide();
@@ -1579,7 +5187,12 @@ class AlFahdApp {
         
         // Products filter (Products page)
         if (document.querySelector('.products-filter') && typeof productsData !== 'undefined') {
-            this.components.productsFilter = new ProductsFilter(productsData);
+            this.components.productsFilter = new ProductsFilter(productsData, this.components.performance, productGroups);
+        }
+        
+        // Quick view gallery (Products page)
+        if (document.getElementById('productGallery')) {
+            this.components.gallery = new ProductGallery(document.getElementById('productGallery'));
         }
         
         // FAQ accordion (Contact page)
@@ -1592,6 +5205,8 @@ class AlFahdApp {
         // Make components available globally for inline event handlers
         window.testimonialsCarousel = this.components.testimonials;
         window.modalManager = this.components.modal;
+        window.cartManager = this.components.cart;
+        window.productGallery = this.components.gallery;
         window.faqAccordion = this.components.faq;
         window.alFahdApp = this;
     }
@@ -1648,10 +5263,10 @@ if (!Element.prototype.matches) {
 }
 
 // ==========================================================================
-// SERVICE WORKER REGISTRATION (Future Enhancement)
+// SERVICE WORKER REGISTRATION
 // ==========================================================================
 
-// Register service worker for offline functionality
+// Register service worker for offline functionality (sw.js also flushes the submission queue)
 if ('serviceWorker' in navigator) {
     window.addEventListener('load', () => {
         navigator.serviceWorker.register('/sw.js')
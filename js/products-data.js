@@ -1,117 +1,150 @@
+// Bundled product catalog; the products page prefers the data/catalog.json feed
+// (CONFIG.catalogURL) and falls back to this copy when the feed can't be loaded.
+// - `id` is the stable slug used in product links (products.html?p=<id>); never change it once published.
+// - Prices are per unit; `unit` is one of the PRODUCT_UNITS keys in main.js (kg when omitted),
+//   with optional `minQuantity` and `step` overrides.
+// - `priceTiers` lists volume price breaks ({ from, price }, `from` in the product's unit);
+//   the list price applies below the first one.
+// - `image` is the card thumbnail and `gallery` lists extra quick-view photos; products
+//   without photos fall back to their category image.
+// - `availability` is one of the AVAILABILITY_STATUSES keys in main.js (in stock when omitted);
+//   `season` ({ from, to } as "MM-DD") limits ordering to a yearly window.
+// - `group` and `variant` tie a row to one of the productGroups below.
+// - `priceHistory` lists dated prices, oldest first, ending with the current one.
 const productsData = [
-  { name: "اخطبوط", category: "squid", price: 220 },
-  { name: "استاكوزا كندى", category: "other", price: 950 },
-  { name: "استاكوزا", category: "other", price: 800 },
-  { name: "انشوجا", category: "fish", price: 120 },
-  { name: "بطارخ", category: "other", price: 450 },
-  { name: "بلاك كود", category: "fish", price: 650 },
-  { name: "بلح بحر مفتوح", category: "other", price: 150 },
-  { name: "بلح بحر مقفول", category: "other", price: 130 },
-  { name: "تونه لوين", category: "fish", price: 380 },
-  { name: "تونه ساكو", category: "fish", price: 350 },
-  { name: "جمبرى ديل 20/16", category: "shrimp", price: 320 },
-  { name: "جمبرى ديل 25/21", category: "shrimp", price: 300 },
-  { name: "جمبرى ديل 30/26", category: "shrimp", price: 280 },
-  { name: "جمبرى ديل 40/30", category: "shrimp", price: 260 },
-  { name: "جمبرى قشر 15/13 - U15", category: "shrimp", price: 420 },
-  { name: "جمبرى قشر 8/12 - U10", category: "shrimp", price: 480 },
-  { name: "جمبرى قشر 20/16", category: "shrimp", price: 380 },
-  { name: "جمبرى قشر 25/21", category: "shrimp", price: 360 },
-  { name: "جمبرى قشر 30/20", category: "shrimp", price: 340 },
-  { name: "جمبرى قشر 40/30", category: "shrimp", price: 320 },
-  { name: "جمبرى قشر 50/40", category: "shrimp", price: 280 },
-  { name: "جمبرى قشر 60/50", category: "shrimp", price: 250 },
-  { name: "جمبرى لحم 110/90", category: "shrimp", price: 180 },
-  { name: "جمبرى لحم 15/11", category: "shrimp", price: 450 },
-  { name: "جمبرى لحم 15/13 - U15", category: "shrimp", price: 430 },
-  { name: "جمبرى لحم 20/16", category: "shrimp", price: 400 },
-  { name: "جمبرى لحم 25/21", category: "shrimp", price: 380 },
-  { name: "جمبرى لحم 30/26", category: "shrimp", price: 360 },
-  { name: "جمبرى لحم 35/31", category: "shrimp", price: 340 },
-  { name: "جمبرى لحم 40/30", category: "shrimp", price: 320 },
-  { name: "جمبرى لحم 50/40", category: "shrimp", price: 290 },
-  { name: "جمبرى لحم 60/50", category: "shrimp", price: 260 },
-  { name: "جمبرى لحم 70/60", category: "shrimp", price: 230 },
-  { name: "جمبرى لحم 90/70", category: "shrimp", price: 200 },
-  { name: "جمبرى لحم 200/100", category: "shrimp", price: 170 },
-  { name: "جمبرى قشر مكس صغير", category: "shrimp", price: 150 },
-  { name: "جمبرى قشر مكس كبير", category: "shrimp", price: 250 },
-  { name: "جندوفلى", category: "other", price: 90 },
-  { name: "ديول استاكوزا", category: "other", price: 600 },
-  { name: "ديول استاكوزا كندى", category: "other", price: 750 },
-  { name: "رنجه سايبه", category: "fish", price: 80 },
-  { name: "رنجه فاكيوم", category: "fish", price: 95 },
-  { name: "رنجه فيليه", category: "fish", price: 140 },
-  { name: "رؤوس كاليمارى", category: "squid", price: 70 },
-  { name: "سالمون بورشن", category: "fish", price: 550 },
-  { name: "سالمون دوبريه", category: "fish", price: 520 },
-  { name: "سالمون طولى بالجلد", category: "fish", price: 480 },
-  { name: "سالمون طولى بدون جلد", category: "fish", price: 500 },
-  { name: "سالمون فريش طيران", category: "fish", price: 600 },
-  { name: "سالمون فيليه", category: "fish", price: 580 },
-  { name: "سالمون هول", category: "fish", price: 450 },
-  { name: "سالمون هول فريش", category: "fish", price: 520 },
-  { name: "سبيط", category: "squid", price: 190 },
-  { name: "سبيط بالراس", category: "squid", price: 180 },
-  { name: "سبيط بدون راس", category: "squid", price: 200 },
-  { name: "سبيط دهور", category: "squid", price: 210 },
-  { name: "سردين", category: "fish", price: 75 },
-  { name: "سمك باسا خمسات", category: "fish", price: 110 },
-  { name: "سمك باسا كيلوهات", category: "fish", price: 100 },
-  { name: "سمك بربونى", category: "fish", price: 160 },
-  { name: "سمك بساريا", category: "fish", price: 60 },
-  { name: "سمك بلطى", category: "fish", price: 85 },
-  { name: "سمك بلطى فيليه", category: "fish", price: 150 },
-  { name: "سمك بورى", category: "fish", price: 110 },
-  { name: "سمك تونه", category: "fish", price: 180 },
-  { name: "سمك ثعابين", category: "fish", price: 250 },
-  { name: "سمك دنيس", category: "fish", price: 190 },
-  { name: "سمك سي باص", category: "fish", price: 220 },
-  { name: "سمك فيليه قشر بياض", category: "fish", price: 180 },
-  { name: "سمك قاروص", category: "fish", price: 210 },
-  { name: "سمك قاروص فيليه", category: "fish", price: 280 },
-  { name: "سمك لوط", category: "fish", price: 170 },
-  { name: "سمك لوط فيليه", category: "fish", price: 240 },
-  { name: "سمك مرجان", category: "fish", price: 130 },
-  { name: "سمك مكرونه", category: "fish", price: 100 },
-  { name: "سمك مكريل", category: "fish", price: 120 },
-  { name: "سمك مكريل فيليه", category: "fish", price: 160 },
-  { name: "سمك موسى", category: "fish", price: 180 },
-  { name: "سمك هامتشى", category: "fish", price: 450 },
-  { name: "سمك هامور", category: "fish", price: 350 },
-  { name: "سمك وقار", category: "fish", price: 320 },
-  { name: "سوفت شيل", category: "crab", price: 380 },
-  { name: "سى سكالوب", category: "other", price: 420 },
-  { name: "شوربه سى فود", category: "other", price: 180 },
-  { name: "صوابع كابوريا تايلاندى", category: "crab", price: 150 },
-  { name: "صوابع كابوريا صيني", category: "crab", price: 120 },
-  { name: "صوابع كابوريا هندى", category: "crab", price: 130 },
-  { name: "فسيخ", category: "other", price: 280 },
-  { name: "قشر جمبرى", category: "shrimp", price: 50 },
-  { name: "كابوريا دكر", category: "crab", price: 160 },
-  { name: "كابوريا نتى", category: "crab", price: 180 },
-  { name: "كاليمارى ابيض بلدي بالرأس", category: "squid", price: 200 },
-  { name: "كاليمارى ابيض بلدي صولو", category: "squid", price: 220 },
-  { name: "كاليمارى حمراء بلدي اقماع", category: "squid", price: 190 },
-  { name: "كاليمارى صينى", category: "squid", price: 150 },
-  { name: "كاليمارى حلقات", category: "squid", price: 170 },
-  { name: "كاليمارى فريش", category: "squid", price: 210 },
-  { name: "كفيار روسى", category: "other", price: 1500 },
-  { name: "كينج كراب", category: "crab", price: 1200 },
-  { name: "ملح بحر", category: "other", price: 20 },
-  { name: "ديوك رومى", category: "other", price: 180 },
-  { name: "ايس بوكس - صندوق فل", category: "other", price: 50 },
-  { name: "بطارخ", category: "other", price: 450 },
-  { name: "جمبرى بروكن", category: "shrimp", price: 160 },
-  { name: "جمبرى قشر 70/60", category: "shrimp", price: 220 },
-  { name: "بالتات بلاستيك", category: "other", price: 100 },
-  { name: "جمبري بيبى", category: "shrimp", price: 120 },
-  { name: "جمبري قشر U7", category: "shrimp", price: 500 },
-  { name: "جمبرى قشر U/8", category: "shrimp", price: 490 },
-  { name: "بيض كفيار", category: "other", price: 1200 },
-  { name: "فراخ", category: "other", price: 110 },
-  { name: "كفيار", category: "other", price: 1400 },
-  { name: "سبيط بدون راس وجناح", category: "squid", price: 210 },
-  { name: "شك صينى مكريل", category: "fish", price: 90 },
-  { name: "كاليمارى بالخارج", category: "squid", price: 160 }
+  { id: "octopus", name: "اخطبوط", category: "squid", price: 220, image: "images/other/octopus.svg" },
+  { id: "canadian-lobster", name: "استاكوزا كندى", category: "other", price: 950, group: "lobster", variant: { origin: "كندى", cut: "كاملة" } },
+  { id: "lobster", name: "استاكوزا", category: "other", price: 800, group: "lobster", variant: { origin: "محلى", cut: "كاملة" } },
+  { id: "anchovy", name: "انشوجا", category: "fish", price: 120 },
+  { id: "bottarga", name: "بطارخ", category: "other", price: 450 },
+  { id: "black-cod", name: "بلاك كود", category: "fish", price: 650, availability: "limited" },
+  { id: "mussels-open", name: "بلح بحر مفتوح", category: "other", price: 150, image: "images/other/mussels.svg", group: "mussels", variant: { cut: "مفتوح" } },
+  { id: "mussels-closed", name: "بلح بحر مقفول", category: "other", price: 130, group: "mussels", variant: { cut: "مقفول" } },
+  { id: "tuna-loin", name: "تونه لوين", category: "fish", price: 380, group: "tuna", variant: { cut: "لوين" } },
+  { id: "tuna-saku", name: "تونه ساكو", category: "fish", price: 350, group: "tuna", variant: { cut: "ساكو" } },
+  { id: "shrimp-tail-20-16", name: "جمبرى ديل 20/16", category: "shrimp", price: 320, priceTiers: [{ from: 10, price: 305 }, { from: 50, price: 290 }], group: "shrimp", variant: { cut: "ديل", size: "20/16" }, priceHistory: [{ date: "2026-04-01", price: 340 }, { date: "2026-07-20", price: 330 }, { date: "2026-10-10", price: 320 }] },
+  { id: "shrimp-tail-25-21", name: "جمبرى ديل 25/21", category: "shrimp", price: 300, group: "shrimp", variant: { cut: "ديل", size: "25/21" } },
+  { id: "shrimp-tail-30-26", name: "جمبرى ديل 30/26", category: "shrimp", price: 280, group: "shrimp", variant: { cut: "ديل", size: "30/26" } },
+  { id: "shrimp-tail-40-30", name: "جمبرى ديل 40/30", category: "shrimp", price: 260, group: "shrimp", variant: { cut: "ديل", size: "40/30" } },
+  { id: "shrimp-shell-u15", name: "جمبرى قشر 15/13 - U15", category: "shrimp", price: 420, image: "images/shrimp/jumbo-shrimp.svg", group: "shrimp", variant: { cut: "قشر", size: "15/13 - U15" } },
+  { id: "shrimp-shell-u10", name: "جمبرى قشر 8/12 - U10", category: "shrimp", price: 480, group: "shrimp", variant: { cut: "قشر", size: "8/12 - U10" } },
+  { id: "shrimp-shell-20-16", name: "جمبرى قشر 20/16", category: "shrimp", price: 380, priceTiers: [{ from: 10, price: 360 }, { from: 50, price: 345 }], group: "shrimp", variant: { cut: "قشر", size: "20/16" }, priceHistory: [{ date: "2026-06-01", price: 360 }, { date: "2026-08-15", price: 400 }, { date: "2026-10-05", price: 380 }] },
+  { id: "shrimp-shell-25-21", name: "جمبرى قشر 25/21", category: "shrimp", price: 360, group: "shrimp", variant: { cut: "قشر", size: "25/21" } },
+  { id: "shrimp-shell-30-20", name: "جمبرى قشر 30/20", category: "shrimp", price: 340, group: "shrimp", variant: { cut: "قشر", size: "30/20" } },
+  { id: "shrimp-shell-40-30", name: "جمبرى قشر 40/30", category: "shrimp", price: 320, image: "images/shrimp/medium-shrimp.svg", group: "shrimp", variant: { cut: "قشر", size: "40/30" } },
+  { id: "shrimp-shell-50-40", name: "جمبرى قشر 50/40", category: "shrimp", price: 280, group: "shrimp", variant: { cut: "قشر", size: "50/40" } },
+  { id: "shrimp-shell-60-50", name: "جمبرى قشر 60/50", category: "shrimp", price: 250, group: "shrimp", variant: { cut: "قشر", size: "60/50" } },
+  { id: "shrimp-meat-110-90", name: "جمبرى لحم 110/90", category: "shrimp", price: 180, group: "shrimp", variant: { cut: "لحم", size: "110/90" } },
+  { id: "shrimp-meat-15-11", name: "جمبرى لحم 15/11", category: "shrimp", price: 450, group: "shrimp", variant: { cut: "لحم", size: "15/11" } },
+  { id: "shrimp-meat-u15", name: "جمبرى لحم 15/13 - U15", category: "shrimp", price: 430, group: "shrimp", variant: { cut: "لحم", size: "15/13 - U15" } },
+  { id: "shrimp-meat-20-16", name: "جمبرى لحم 20/16", category: "shrimp", price: 400, priceTiers: [{ from: 10, price: 380 }, { from: 50, price: 360 }], group: "shrimp", variant: { cut: "لحم", size: "20/16" }, priceHistory: [{ date: "2026-05-01", price: 380 }, { date: "2026-07-01", price: 390 }, { date: "2026-09-28", price: 400 }] },
+  { id: "shrimp-meat-25-21", name: "جمبرى لحم 25/21", category: "shrimp", price: 380, group: "shrimp", variant: { cut: "لحم", size: "25/21" } },
+  { id: "shrimp-meat-30-26", name: "جمبرى لحم 30/26", category: "shrimp", price: 360, group: "shrimp", variant: { cut: "لحم", size: "30/26" } },
+  { id: "shrimp-meat-35-31", name: "جمبرى لحم 35/31", category: "shrimp", price: 340, group: "shrimp", variant: { cut: "لحم", size: "35/31" } },
+  { id: "shrimp-meat-40-30", name: "جمبرى لحم 40/30", category: "shrimp", price: 320, group: "shrimp", variant: { cut: "لحم", size: "40/30" } },
+  { id: "shrimp-meat-50-40", name: "جمبرى لحم 50/40", category: "shrimp", price: 290, group: "shrimp", variant: { cut: "لحم", size: "50/40" } },
+  { id: "shrimp-meat-60-50", name: "جمبرى لحم 60/50", category: "shrimp", price: 260, group: "shrimp", variant: { cut: "لحم", size: "60/50" } },
+  { id: "shrimp-meat-70-60", name: "جمبرى لحم 70/60", category: "shrimp", price: 230, group: "shrimp", variant: { cut: "لحم", size: "70/60" } },
+  { id: "shrimp-meat-90-70", name: "جمبرى لحم 90/70", category: "shrimp", price: 200, group: "shrimp", variant: { cut: "لحم", size: "90/70" } },
+  { id: "shrimp-meat-200-100", name: "جمبرى لحم 200/100", category: "shrimp", price: 170, group: "shrimp", variant: { cut: "لحم", size: "200/100" } },
+  { id: "shrimp-shell-mix-small", name: "جمبرى قشر مكس صغير", category: "shrimp", price: 150, group: "shrimp", variant: { cut: "قشر", size: "مكس صغير" } },
+  { id: "shrimp-shell-mix-large", name: "جمبرى قشر مكس كبير", category: "shrimp", price: 250, group: "shrimp", variant: { cut: "قشر", size: "مكس كبير" } },
+  { id: "clams", name: "جندوفلى", category: "other", price: 90 },
+  { id: "lobster-tails", name: "ديول استاكوزا", category: "other", price: 600, group: "lobster", variant: { origin: "محلى", cut: "ديول" } },
+  { id: "canadian-lobster-tails", name: "ديول استاكوزا كندى", category: "other", price: 750, group: "lobster", variant: { origin: "كندى", cut: "ديول" } },
+  { id: "herring-loose", name: "رنجه سايبه", category: "fish", price: 80, group: "herring", variant: { cut: "سايبه" } },
+  { id: "herring-vacuum", name: "رنجه فاكيوم", category: "fish", price: 95, unit: "pack", group: "herring", variant: { cut: "فاكيوم" } },
+  { id: "herring-fillet", name: "رنجه فيليه", category: "fish", price: 140, group: "herring", variant: { cut: "فيليه" } },
+  { id: "calamari-heads", name: "رؤوس كاليمارى", category: "squid", price: 70, group: "calamari", variant: { cut: "رؤوس" } },
+  { id: "salmon-portion", name: "سالمون بورشن", category: "fish", price: 550, priceTiers: [{ from: 10, price: 525 }, { from: 50, price: 500 }], group: "salmon", variant: { cut: "بورشن" }, priceHistory: [{ date: "2026-05-01", price: 520 }, { date: "2026-09-25", price: 550 }] },
+  { id: "salmon-doubre", name: "سالمون دوبريه", category: "fish", price: 520, group: "salmon", variant: { cut: "دوبريه" } },
+  { id: "salmon-side-skin-on", name: "سالمون طولى بالجلد", category: "fish", price: 480, group: "salmon", variant: { cut: "طولى", skin: "بالجلد" } },
+  { id: "salmon-side-skinless", name: "سالمون طولى بدون جلد", category: "fish", price: 500, group: "salmon", variant: { cut: "طولى", skin: "بدون جلد" } },
+  { id: "salmon-fresh-airflown", name: "سالمون فريش طيران", category: "fish", price: 600, season: { from: "10-01", to: "04-30" }, group: "salmon", variant: { cut: "فريش طيران" } },
+  { id: "salmon-fillet", name: "سالمون فيليه", category: "fish", price: 580, priceTiers: [{ from: 10, price: 550 }, { from: 50, price: 525 }], group: "salmon", variant: { cut: "فيليه" }, priceHistory: [{ date: "2026-03-01", price: 540 }, { date: "2026-06-01", price: 560 }, { date: "2026-08-01", price: 600 }, { date: "2026-10-01", price: 580 }] },
+  { id: "salmon-whole", name: "سالمون هول", category: "fish", price: 450, group: "salmon", variant: { cut: "هول", state: "مجمد" }, priceHistory: [{ date: "2026-02-01", price: 470 }, { date: "2026-07-01", price: 450 }] },
+  { id: "salmon-whole-fresh", name: "سالمون هول فريش", category: "fish", price: 520, group: "salmon", variant: { cut: "هول", state: "فريش" } },
+  { id: "cuttlefish", name: "سبيط", category: "squid", price: 190, group: "cuttlefish", variant: { cut: "كامل" } },
+  { id: "cuttlefish-head-on", name: "سبيط بالراس", category: "squid", price: 180, group: "cuttlefish", variant: { cut: "بالراس" } },
+  { id: "cuttlefish-headless", name: "سبيط بدون راس", category: "squid", price: 200, group: "cuttlefish", variant: { cut: "بدون راس" } },
+  { id: "cuttlefish-backs", name: "سبيط دهور", category: "squid", price: 210, group: "cuttlefish", variant: { cut: "دهور" } },
+  { id: "sardines", name: "سردين", category: "fish", price: 75 },
+  { id: "basa-5kg", name: "سمك باسا خمسات", category: "fish", price: 110, unit: "box", priceTiers: [{ from: 10, price: 105 }, { from: 50, price: 100 }], group: "basa", variant: { cut: "خمسات" } },
+  { id: "basa-1kg", name: "سمك باسا كيلوهات", category: "fish", price: 100, unit: "pack", group: "basa", variant: { cut: "كيلوهات" } },
+  { id: "red-mullet", name: "سمك بربونى", category: "fish", price: 160 },
+  { id: "bassaria", name: "سمك بساريا", category: "fish", price: 60 },
+  { id: "tilapia", name: "سمك بلطى", category: "fish", price: 85, priceTiers: [{ from: 10, price: 80 }, { from: 50, price: 75 }], image: "images/fish/tilapia.svg", gallery: ["images/fish/tilapia-cleaned.svg", "images/fish/tilapia-grilled.svg"], group: "tilapia", variant: { cut: "كاملة" } },
+  { id: "tilapia-fillet", name: "سمك بلطى فيليه", category: "fish", price: 150, group: "tilapia", variant: { cut: "فيليه" } },
+  { id: "mullet", name: "سمك بورى", category: "fish", price: 110, image: "images/fish/mullet.svg" },
+  { id: "tuna-fish", name: "سمك تونه", category: "fish", price: 180, group: "tuna", variant: { cut: "كاملة" } },
+  { id: "eel", name: "سمك ثعابين", category: "fish", price: 250 },
+  { id: "sea-bream", name: "سمك دنيس", category: "fish", price: 190, image: "images/fish/sea-bream.svg", gallery: ["images/fish/sea-bream-grilled.svg"] },
+  { id: "sea-bass", name: "سمك سي باص", category: "fish", price: 220, image: "images/fish/sea-bass.svg" },
+  { id: "white-fish-fillet", name: "سمك فيليه قشر بياض", category: "fish", price: 180 },
+  { id: "meagre", name: "سمك قاروص", category: "fish", price: 210, group: "meagre", variant: { cut: "كاملة" } },
+  { id: "meagre-fillet", name: "سمك قاروص فيليه", category: "fish", price: 280, group: "meagre", variant: { cut: "فيليه" } },
+  { id: "lotte", name: "سمك لوط", category: "fish", price: 170, group: "lotte", variant: { cut: "كاملة" } },
+  { id: "lotte-fillet", name: "سمك لوط فيليه", category: "fish", price: 240, group: "lotte", variant: { cut: "فيليه" } },
+  { id: "morgan", name: "سمك مرجان", category: "fish", price: 130 },
+  { id: "macaroni-fish", name: "سمك مكرونه", category: "fish", price: 100 },
+  { id: "mackerel", name: "سمك مكريل", category: "fish", price: 120, group: "mackerel", variant: { cut: "كاملة" } },
+  { id: "mackerel-fillet", name: "سمك مكريل فيليه", category: "fish", price: 160, group: "mackerel", variant: { cut: "فيليه" } },
+  { id: "sole", name: "سمك موسى", category: "fish", price: 180 },
+  { id: "hamachi", name: "سمك هامتشى", category: "fish", price: 450 },
+  { id: "grouper", name: "سمك هامور", category: "fish", price: 350 },
+  { id: "wakar", name: "سمك وقار", category: "fish", price: 320 },
+  { id: "soft-shell-crab", name: "سوفت شيل", category: "crab", price: 380 },
+  { id: "sea-scallops", name: "سى سكالوب", category: "other", price: 420 },
+  { id: "seafood-soup", name: "شوربه سى فود", category: "other", price: 180, unit: "pack" },
+  { id: "crab-sticks-thai", name: "صوابع كابوريا تايلاندى", category: "crab", price: 150, group: "crab-sticks", variant: { origin: "تايلاندى" } },
+  { id: "crab-sticks-chinese", name: "صوابع كابوريا صيني", category: "crab", price: 120, group: "crab-sticks", variant: { origin: "صيني" } },
+  { id: "crab-sticks-indian", name: "صوابع كابوريا هندى", category: "crab", price: 130, group: "crab-sticks", variant: { origin: "هندى" } },
+  { id: "feseekh", name: "فسيخ", category: "other", price: 280, season: { from: "03-01", to: "05-15" } },
+  { id: "shrimp-shells", name: "قشر جمبرى", category: "shrimp", price: 50, minQuantity: 1, step: 1 },
+  { id: "crab-male", name: "كابوريا دكر", category: "crab", price: 160, image: "images/crab/fresh-crab.svg", group: "crab", variant: { cut: "دكر" } },
+  { id: "crab-female", name: "كابوريا نتى", category: "crab", price: 180, group: "crab", variant: { cut: "نتى" } },
+  { id: "calamari-white-head-on", name: "كاليمارى ابيض بلدي بالرأس", category: "squid", price: 200, group: "calamari", variant: { cut: "ابيض بلدي بالرأس" } },
+  { id: "calamari-white-solo", name: "كاليمارى ابيض بلدي صولو", category: "squid", price: 220, group: "calamari", variant: { cut: "ابيض بلدي صولو" } },
+  { id: "calamari-red-cones", name: "كاليمارى حمراء بلدي اقماع", category: "squid", price: 190, group: "calamari", variant: { cut: "حمراء بلدي اقماع" } },
+  { id: "calamari-chinese", name: "كاليمارى صينى", category: "squid", price: 150, group: "calamari", variant: { cut: "صينى" } },
+  { id: "calamari-rings", name: "كاليمارى حلقات", category: "squid", price: 170, priceTiers: [{ from: 10, price: 160 }, { from: 50, price: 150 }], group: "calamari", variant: { cut: "حلقات" } },
+  { id: "calamari-fresh", name: "كاليمارى فريش", category: "squid", price: 210, image: "images/squid/calamari.svg", gallery: ["images/squid/calamari-rings.svg"], group: "calamari", variant: { cut: "فريش" } },
+  { id: "russian-caviar", name: "كفيار روسى", category: "other", price: 1500, availability: "out-of-stock", group: "caviar", variant: { cut: "روسى" } },
+  { id: "king-crab", name: "كينج كراب", category: "crab", price: 1200, availability: "limited" },
+  { id: "sea-salt", name: "ملح بحر", category: "other", price: 20, unit: "pack" },
+  { id: "turkey", name: "ديوك رومى", category: "other", price: 180 },
+  { id: "ice-box", name: "ايس بوكس - صندوق فل", category: "other", price: 50, unit: "piece" },
+  { id: "shrimp-broken", name: "جمبرى بروكن", category: "shrimp", price: 160 },
+  { id: "shrimp-shell-70-60", name: "جمبرى قشر 70/60", category: "shrimp", price: 220, group: "shrimp", variant: { cut: "قشر", size: "70/60" } },
+  { id: "plastic-pallets", name: "بالتات بلاستيك", category: "other", price: 100, unit: "piece" },
+  { id: "baby-shrimp", name: "جمبري بيبى", category: "shrimp", price: 120 },
+  { id: "shrimp-shell-u7", name: "جمبري قشر U7", category: "shrimp", price: 500, group: "shrimp", variant: { cut: "قشر", size: "U7" } },
+  { id: "shrimp-shell-u8", name: "جمبرى قشر U/8", category: "shrimp", price: 490, group: "shrimp", variant: { cut: "قشر", size: "U/8" } },
+  { id: "caviar-roe", name: "بيض كفيار", category: "other", price: 1200, group: "caviar", variant: { cut: "بيض كفيار" } },
+  { id: "chicken", name: "فراخ", category: "other", price: 110 },
+  { id: "caviar", name: "كفيار", category: "other", price: 1400, group: "caviar", variant: { cut: "كفيار" } },
+  { id: "cuttlefish-headless-wingless", name: "سبيط بدون راس وجناح", category: "squid", price: 210, group: "cuttlefish", variant: { cut: "بدون راس وجناح" } },
+  { id: "chinese-mackerel-skewers", name: "شك صينى مكريل", category: "fish", price: 90 },
+  { id: "calamari-imported", name: "كاليمارى بالخارج", category: "squid", price: 160, group: "calamari", variant: { cut: "بالخارج" } }
+];
+
+// Variant groups: rows sharing a `group` render as one card whose `variant` options
+// (listed in `options`, in picker order) select the row that gets ordered.
+const productGroups = [
+  { id: "shrimp", name: "جمبرى", category: "shrimp", options: ["cut", "size"] },
+  { id: "cuttlefish", name: "سبيط", category: "squid", options: ["cut"] },
+  { id: "salmon", name: "سالمون", category: "fish", options: ["cut", "skin", "state"] },
+  { id: "calamari", name: "كاليمارى", category: "squid", options: ["cut"] },
+  { id: "lobster", name: "استاكوزا", category: "other", options: ["origin", "cut"] },
+  { id: "tuna", name: "تونه", category: "fish", options: ["cut"] },
+  { id: "herring", name: "رنجه", category: "fish", options: ["cut"] },
+  { id: "basa", name: "سمك باسا", category: "fish", options: ["cut"] },
+  { id: "crab-sticks", name: "صوابع كابوريا", category: "crab", options: ["origin"] },
+  { id: "crab", name: "كابوريا", category: "crab", options: ["cut"] },
+  { id: "mussels", name: "بلح بحر", category: "other", options: ["cut"] },
+  { id: "tilapia", name: "سمك بلطى", category: "fish", options: ["cut"] },
+  { id: "meagre", name: "سمك قاروص", category: "fish", options: ["cut"] },
+  { id: "lotte", name: "سمك لوط", category: "fish", options: ["cut"] },
+  { id: "mackerel", name: "سمك مكريل", category: "fish", options: ["cut"] },
+  { id: "caviar", name: "كفيار", category: "other", options: ["cut"] }
 ];
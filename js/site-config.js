@@ -0,0 +1,119 @@
+// Contact channels and delivery rules for the whole site. Every page loads this before main.js: the JS builders
+// (product cards, quick view, cart, contact form) read it directly, and ContactLinksManager
+// rewrites the static wa.me / tel: / mailto: / Google Maps links and the shop address in the
+// HTML from it on load.
+// - Numbers are E.164 ("+20…"); wa.me links drop the plus.
+// - WhatsApp links pick a department with data-whatsapp="<key>" (retail when omitted),
+//   and mailto: links a mailbox with data-email="<key>" (info when omitted).
+// - Elements marked data-address show the street, city and country, or the landmark
+//   with data-address="landmark".
+const SITE_CONFIG = {
+    name: 'الفهد للمأكولات البحرية',
+
+    phone: '+201143343338',
+
+    whatsapp: {
+        retail: '+201143343338',
+        wholesale: '+201143343338',
+        orders: '+201143343338',
+        complaints: '+201143343338'
+    },
+
+    // Which WhatsApp department the contact form sends each subject to (retail when unlisted)
+    whatsappRouting: {
+        inquiry: 'retail',
+        order: 'orders',
+        complaint: 'complaints',
+        suggestion: 'complaints'
+    },
+
+    // When WhatsApp is answered, in Cairo time. One entry per day starting Sunday (as Date#getDay
+    // counts), null for a day off. Keep in step with the hours shown on the pages.
+    hours: {
+        timeZone: 'Africa/Cairo',
+        schedule: [
+            ['08:00', '22:00'], // الأحد
+            ['08:00', '22:00'], // الاثنين
+            ['08:00', '22:00'], // الثلاثاء
+            ['08:00', '22:00'], // الأربعاء
+            ['08:00', '22:00'], // الخميس
+            ['10:00', '20:00'], // الجمعة
+            ['08:00', '22:00']  // السبت
+        ]
+    },
+
+    email: {
+        info: 'info@alfahd-seafood.com',
+        orders: 'orders@alfahd-seafood.com'
+    },
+
+    // Where and when we deliver and what it costs (see the DELIVERY sections in main.js). The fee is
+    // per zone, and an area can override it as { name: '…', fee: 40 }. Orders placed before the cutoff
+    // (Cairo time) go out the same day, arriving leadHours after the first window opens or after ordering.
+    // Days can be booked daysAhead ahead in the windows below, except on closedWeekdays (0 = Sunday)
+    // and holidays; data/delivery-slots.json sets how many orders each window takes.
+    delivery: {
+        freeDeliveryMinimum: 500,
+        sameDayCutoff: '18:00',
+        daysAhead: 7,
+        closedWeekdays: [5],
+        holidays: [
+            { date: '2027-01-07', name: 'عيد الميلاد المجيد' },
+            { date: '2027-01-25', name: 'عيد الشرطة' },
+            { date: '2027-03-10', name: 'عيد الفطر' },
+            { date: '2027-03-11', name: 'عيد الفطر' }
+        ],
+        windows: [
+            { id: 'early', label: 'مبكراً للمطاعم', from: '08:00', to: '10:00' },
+            { id: 'morning', label: 'صباحاً', from: '10:00', to: '13:00' },
+            { id: 'afternoon', label: 'ظهراً', from: '13:00', to: '17:00' },
+            { id: 'evening', label: 'مساءً', from: '17:00', to: '21:00' }
+        ],
+        zones: [
+            {
+                id: 'alexandria',
+                name: 'الإسكندرية',
+                fee: 25,
+                leadHours: [2, 3],
+                areas: [
+                    'المنشية', 'محطة الرمل', 'الشاطبي', 'كامب شيزار', 'سيدي جابر', 'سموحة',
+                    'رشدي', 'ستانلي', 'لوران', 'سيدي بشر', 'ميامي', 'المندرة', 'العصافرة',
+                    'المنتزه', 'محرم بك', 'العطارين', 'الأنفوشي',
+                    { name: 'العجمي', fee: 40 },
+                    { name: 'أبو قير', fee: 40 }
+                ]
+            },
+            {
+                id: 'cairo',
+                name: 'القاهرة',
+                fee: 60,
+                leadHours: [3, 5],
+                areas: [
+                    'وسط البلد', 'الزمالك', 'جاردن سيتي', 'المعادي', 'مدينة نصر', 'مصر الجديدة',
+                    'شبرا', 'عين شمس', 'المقطم', 'حلوان',
+                    { name: 'التجمع الخامس', fee: 75 },
+                    { name: 'الشروق', fee: 75 }
+                ]
+            },
+            {
+                id: 'giza',
+                name: 'الجيزة',
+                fee: 60,
+                leadHours: [3, 5],
+                areas: [
+                    'الدقي', 'المهندسين', 'العجوزة', 'الهرم', 'فيصل', 'إمبابة',
+                    { name: '6 أكتوبر', fee: 75 },
+                    { name: 'الشيخ زايد', fee: 75 }
+                ]
+            }
+        ]
+    },
+
+    address: {
+        street: 'الكورنيش',
+        city: 'الإسكندرية',
+        country: 'مصر',
+        landmark: 'أمام سوق السمك الرئيسي',
+        mapURL: 'https://maps.google.com/?q=Alexandria+Egypt'
+    }
+};
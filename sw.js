@@ -0,0 +1,286 @@
+/**
+ * AL FAHD SEAFOOD - SERVICE WORKER
+ * Offline browsing from a versioned cache, and sending contact and order submissions
+ * that were queued while offline (see OfflineQueueManager in js/main.js)
+ */
+
+// ==========================================================================
+// CACHE CONFIGURATION
+// ==========================================================================
+
+// Bump whenever pages, styles or scripts change; caches from older versions are dropped on activate
+const CACHE_VERSION = 'v27';
+const CACHE_PREFIX = 'alfahd-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+const OFFLINE_PAGE = 'offline.html';
+const CATALOG_URL = 'data/catalog.json';
+const DELIVERY_SLOTS_URL = 'data/delivery-slots.json';
+// Answered by the order backend, so it's missing on static hosting and isn't precached
+const DELIVERY_BOOKINGS_URL = 'api/delivery-bookings';
+
+// Keep in step with CATALOG_UPDATED_MESSAGE in js/main.js
+const CATALOG_UPDATED_MESSAGE = 'catalog-updated';
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'about.html',
+    'products.html',
+    'contact.html',
+    OFFLINE_PAGE,
+    'manifest.webmanifest',
+    'css/style.css',
+    'js/site-config.js',
+    'js/csv.js',
+    'js/main.js',
+    'js/products-data.js',
+    CATALOG_URL,
+    DELIVERY_SLOTS_URL,
+    'images/about/logo.png',
+    'images/about/2.jpg',
+    'images/team/mohamed-magdy.jpg',
+    'images/apple-touch-icon.png',
+    'images/icons/icon-192.png',
+    'images/icons/icon-512.png',
+    'images/icons/icon-maskable-512.png',
+    'images/about/product1.jpg',
+    // Category fallbacks (CATEGORY_FALLBACK_IMAGES) for product photos that aren't cached
+    'images/categories/fish.svg',
+    'images/categories/shrimp.svg',
+    'images/categories/crab.svg',
+    'images/categories/squid.svg',
+    'images/categories/other.svg',
+    'images/categories/default.svg'
+];
+
+// Third-party files the pages need offline: Fuse.js for product search, and the Tajawal font.
+// Cached when reachable, but a CDN hiccup must not stop the worker from installing.
+const OPTIONAL_PRECACHE_URLS = [
+    'https://cdn.jsdelivr.net/npm/fuse.js',
+    'https://fonts.googleapis.com/css2?family=Tajawal:wght@200;300;400;500;700;800;900&display=swap'
+];
+const RUNTIME_CACHE_HOSTS = ['cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// ==========================================================================
+// CACHING
+// ==========================================================================
+
+/**
+ * Path of a same-origin URL relative to the worker's scope, e.g. "data/catalog.json"
+ */
+function scopePath(url) {
+    return url.pathname.slice(new URL(self.registration.scope).pathname.length);
+}
+
+/**
+ * Product data (the catalog feed and the bundled copy) is shown from the cache and refreshed behind it
+ */
+function isProductData(url) {
+    const path = scopePath(url);
+    return path.startsWith('data/') || path === 'js/products-data.js';
+}
+
+function isCacheable(response) {
+    // Opaque responses are the no-cors CDN and font requests
+    return response && (response.ok || response.type === 'opaque');
+}
+
+function addOptional(cache, urls) {
+    return Promise.all(urls.map(url =>
+        cache.match(url).then(cached => cached || cache.add(url).catch(() => null))
+    ));
+}
+
+/**
+ * Cache the product photos named in the cached catalog; missing ones fall back to the category images
+ */
+function cacheCatalogImages(cache) {
+    return cache.match(CATALOG_URL)
+        .then(response => response ? response.json() : { products: [] })
+        .then(catalog => {
+            const images = new Set();
+            (catalog.products || []).forEach(product => {
+                [product.image, ...(product.gallery || [])].filter(Boolean).forEach(image => images.add(image));
+            });
+            return addOptional(cache, [...images]);
+        })
+        .catch(error => console.warn('Could not cache catalog images:', error));
+}
+
+function notifyClients(message) {
+    return self.clients.matchAll({ includeUncontrolled: true })
+        .then(clients => clients.forEach(client => client.postMessage(message)));
+}
+
+function cacheFirst(request) {
+    return caches.match(request).then(cached => cached || fetch(request).then(response => {
+        if (isCacheable(response)) {
+            const copy = response.clone();
+            caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+        }
+        return response;
+    }));
+}
+
+/**
+ * Pages and slot bookings come from the network when possible so they stay current, then the cache,
+ * then the offline page
+ */
+function networkFirst(request) {
+    const key = request.url.split('?')[0];
+
+    return fetch(request)
+        .then(response => {
+            if (response.ok) {
+                const copy = response.clone();
+                caches.open(CACHE_NAME).then(cache => cache.put(key, copy));
+            }
+            return response;
+        })
+        .catch(() => caches.match(request, { ignoreSearch: true })
+            .then(cached => cached || (request.mode === 'navigate' ? caches.match(OFFLINE_PAGE) : Response.error())));
+}
+
+/**
+ * Store a fresh copy of product data; when it differs from the cached one, tell open pages to reload it
+ */
+function storeProductData(cache, url, response, previous) {
+    return Promise.all([response.clone().text(), previous])
+        .then(([text, previousText]) => cache.put(url, response).then(() => {
+            if (previousText === null || text === previousText) return null;
+
+            // A new price list was published: cache its photos and let open pages pick it up
+            const images = scopePath(new URL(url)) === CATALOG_URL ? cacheCatalogImages(cache) : null;
+            return Promise.resolve(images).then(() => notifyClients({ type: CATALOG_UPDATED_MESSAGE, url }));
+        }));
+}
+
+function staleWhileRevalidate(event) {
+    const { request } = event;
+    const url = request.url.split('?')[0];
+
+    return caches.open(CACHE_NAME).then(cache => cache.match(url).then(cached => {
+        const previous = cached ? cached.clone().text() : Promise.resolve(null);
+        const refresh = fetch(request);
+
+        // Keep the worker alive until the background copy has been stored
+        event.waitUntil(refresh
+            .then(response => response.ok ? storeProductData(cache, url, response.clone(), previous) : null)
+            .catch(() => null));
+
+        return cached || refresh;
+    }));
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS)
+                .then(() => addOptional(cache, OPTIONAL_PRECACHE_URLS))
+                .then(() => cacheCatalogImages(cache)))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) {
+        if (RUNTIME_CACHE_HOSTS.includes(url.hostname)) {
+            event.respondWith(cacheFirst(request));
+        }
+        return;
+    }
+
+    // Slot bookings change through the day, so they are only read from the cache when offline
+    if (request.mode === 'navigate' || [DELIVERY_SLOTS_URL, DELIVERY_BOOKINGS_URL].includes(scopePath(url))) {
+        event.respondWith(networkFirst(request));
+    } else if (isProductData(url)) {
+        event.respondWith(staleWhileRevalidate(event));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+// ==========================================================================
+// OFFLINE SUBMISSION QUEUE
+// ==========================================================================
+
+// Keep these in step with SUBMISSION_QUEUE_DB, SUBMISSION_QUEUE_STORE and SUBMISSION_SYNC_TAG in js/main.js
+const SUBMISSION_QUEUE_DB = 'alfahd-offline';
+const SUBMISSION_QUEUE_STORE = 'submissions';
+const SUBMISSION_SYNC_TAG = 'submission-queue';
+
+function openQueue() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(SUBMISSION_QUEUE_DB, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(SUBMISSION_QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function runQueue(db, mode, action) {
+    return new Promise((resolve, reject) => {
+        const request = action(db.transaction(SUBMISSION_QUEUE_STORE, mode).objectStore(SUBMISSION_QUEUE_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Send one queued submission; resolves true once sent and false when refused for good (both
+ * leave the queue), and rejects when it's worth trying again later
+ */
+function sendQueued(entry) {
+    return fetch(entry.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify(entry.payload)
+    }).then(response => response.json().catch(() => ({})).then(body => {
+        if (response.ok && body.ok !== false) return true;
+
+        // Same rules as postJSON in main.js: an { ok: false } body is a failure too, and only
+        // server trouble and rate limits are worth retrying
+        if (response.status >= 500 || response.status === 429) {
+            throw new Error(`Server answered ${response.status}`);
+        }
+        return false;
+    }));
+}
+
+function flushQueue() {
+    const result = { type: SUBMISSION_SYNC_TAG, sent: 0, rejected: 0 };
+
+    return openQueue()
+        .then(db => runQueue(db, 'readonly', store => store.getAll())
+            .then(entries => entries.reduce((chain, entry) => chain.then(() =>
+                sendQueued(entry).then(sent => {
+                    result[sent ? 'sent' : 'rejected']++;
+                    return runQueue(db, 'readwrite', store => store.delete(entry.id));
+                })
+            ), Promise.resolve())))
+        .finally(() => notifyClients(result));
+}
+
+// A rejected flush makes the browser retry the sync later with backoff
+self.addEventListener('sync', (event) => {
+    if (event.tag === SUBMISSION_SYNC_TAG) {
+        event.waitUntil(flushQueue());
+    }
+});
@@ -0,0 +1,431 @@
+#!/usr/bin/env node
+/**
+ * AL FAHD SEAFOOD - FORM SUBMISSION REFERENCE SERVER
+ * Serves the site and accepts the JSON POSTs FormManager sends to CONFIG.formEndpoint,
+ * so the contact, order and newsletter forms can be tried end to end without a real backend.
+ * Orders are priced here from data/catalog.json and the delivery zones in js/site-config.js,
+ * whatever prices, fee and total the browser sent. Orders that book a delivery slot are checked against the delivery rules
+ * there and the capacity in data/delivery-slots.json, and each accepted booking is counted in
+ * data/delivery-bookings.json (git-ignored); the site reads the counts from GET /api/delivery-bookings
+ * to close full windows. Only the site's public files are served, never the rest of the repo.
+ *
+ * Usage:
+ *   node tools/form-server.js [options]
+ *
+ * Options:
+ *   --port <n>          Port to listen on (default: 8080)
+ *   --log <file>        Append accepted submissions to this file, one JSON object per line
+ *   --fail-rate <0..1>  Share of submissions answered with a 503, to try the retry UI
+ *   --delay <ms>        Wait before answering, to see the loading state (default: 0)
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const ENDPOINT = '/api/forms';
+const BOOKINGS_ENDPOINT = '/api/delivery-bookings';
+const MAX_BODY = 64 * 1024;
+const SITE_CONFIG_FILE = path.join(ROOT, 'js', 'site-config.js');
+const CATALOG_FILE = path.join(ROOT, 'data', 'catalog.json');
+const SLOTS_FILE = path.join(ROOT, 'data', 'delivery-slots.json');
+const BOOKINGS_FILE = path.join(ROOT, 'data', 'delivery-bookings.json');
+
+// What serveStatic may hand out: the pages and their assets, and the data files the site fetches
+const PUBLIC_FILES = [
+    'index.html', 'about.html', 'contact.html', 'products.html', 'offline.html',
+    'manifest.webmanifest', 'sw.js', 'data/catalog.json', 'data/delivery-slots.json'
+];
+const PUBLIC_DIRECTORIES = ['css/', 'js/', 'images/'];
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// Keep in step with CONFIG.emailRegex in js/main.js
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Phones arrive in E.164 (parseEgyptianPhone in js/main.js): mobiles, Cairo/Giza, Alexandria, other governorates
+const PHONE_REGEX = /^\+20(1[0125]\d{8}|2\d{8}|3\d{7}|(13|4[05-8]|5[057]|6[245689]|8[2468]|9[2-7])\d{7})$/;
+
+// Required fields per form (the form's data-form attribute); mirrors the checks FormManager runs.
+// Each check gets the trimmed value and the site's SITE_CONFIG.
+const FORM_RULES = {
+    contact: {
+        name: value => value.length > 0 || 'الاسم مطلوب',
+        phone: value => PHONE_REGEX.test(value) || 'يرجى إدخال رقم تليفون مصري صحيح',
+        message: value => value.length > 0 || 'الرسالة مطلوبة'
+    },
+    order: {
+        name: value => value.length > 0 || 'الاسم مطلوب',
+        phone: value => PHONE_REGEX.test(value) || 'يرجى إدخال رقم تليفون مصري صحيح',
+        deliveryArea: (value, config) => value.length === 0 ? 'منطقة التوصيل مطلوبة'
+            : findDeliveryArea(config.delivery, value) !== null || 'لا نوصل إلى هذه المنطقة',
+        address: value => value.length > 0 || 'عنوان التوصيل مطلوب'
+    },
+    newsletter: {
+        email: value => EMAIL_REGEX.test(value) || 'يرجى إدخال بريد إلكتروني صحيح'
+    }
+};
+
+/**
+ * Return the Arabic error for a submission, or null when it's acceptable
+ */
+function validateSubmission(payload, config) {
+    if (!payload || typeof payload !== 'object' || !payload.fields || typeof payload.fields !== 'object') {
+        return 'بيانات الطلب غير مكتملة';
+    }
+
+    const rules = FORM_RULES[payload.form];
+    if (!rules) {
+        return `نموذج غير معروف: ${payload.form}`;
+    }
+
+    for (const [field, check] of Object.entries(rules)) {
+        const result = check(String(payload.fields[field] || '').trim(), config);
+        if (result !== true) return result;
+    }
+
+    // Orders carry the picked lines next to the fields (see OrderPicker.getOrder in js/main.js)
+    if (payload.form === 'order') {
+        const items = payload.order && Array.isArray(payload.order.items) ? payload.order.items : [];
+        if (items.length === 0) return 'الطلب لا يحتوي على منتجات';
+        if (items.some(item => !item || typeof item !== 'object' || !item.id || !(Number(item.quantity) > 0))) {
+            return 'كميات الطلب غير صحيحة';
+        }
+    }
+    return null;
+}
+
+/**
+ * The catalog's products by id
+ */
+function readCatalog() {
+    const { products = [] } = JSON.parse(fs.readFileSync(CATALOG_FILE, 'utf8'));
+    return new Map(products.map(product => [product.id, product]));
+}
+
+/**
+ * Unit price for an order quantity, from the highest volume tier it reaches; mirrors
+ * getTierPrice in js/main.js
+ */
+function getTierPrice(product, quantity) {
+    return (product.priceTiers || [])
+        .filter(tier => tier && tier.from > 0 && tier.price > 0)
+        .sort((a, b) => a.from - b.from)
+        .reduce((price, tier) => (quantity >= tier.from ? tier.price : price), product.price);
+}
+
+/**
+ * The order priced here from the catalog and SITE_CONFIG.delivery, as OrderPicker.getOrder and
+ * getDeliveryQuote in js/main.js do, rather than with the figures the browser sent
+ */
+function priceOrder(order, area, delivery, catalog) {
+    const items = order.items.map(item => {
+        const quantity = Number(item.quantity);
+        const unitPrice = getTierPrice(catalog.get(item.id), quantity);
+        return { ...item, quantity: quantity, unitPrice: unitPrice, subtotal: unitPrice * quantity };
+    });
+    const subtotal = items.reduce((sum, item) => sum + item.subtotal, 0);
+    const fee = subtotal >= delivery.freeDeliveryMinimum ? 0 : area.fee;
+
+    return {
+        ...order,
+        items: items,
+        subtotal: subtotal,
+        delivery: { ...order.delivery, area: area.id, fee: fee },
+        total: subtotal + fee
+    };
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * The SITE_CONFIG the pages load; site-config.js only declares the global, so evaluate it and pick it up
+ */
+function readSiteConfig() {
+    const source = fs.readFileSync(SITE_CONFIG_FILE, 'utf8');
+    return new Function(`${source}
+        return SITE_CONFIG;`)();
+}
+
+/**
+ * A delivery area by the id the site sends ("<zone>:<area>"), as getDeliveryAreas in js/main.js builds them
+ */
+function findDeliveryArea(delivery, id) {
+    for (const zone of delivery.zones) {
+        for (const area of zone.areas) {
+            const name = typeof area === 'string' ? area : area.name;
+            if (`${zone.id}:${name}` === id) {
+                return { id: id, name: name, zone: zone, fee: typeof area === 'object' && area.fee !== undefined ? area.fee : zone.fee };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Today's date ("YYYY-MM-DD") and minutes since midnight in the shop's time zone
+ */
+function getShopNow(timeZone, date = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-CA', {
+        timeZone: timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: 'numeric',
+        minute: 'numeric',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    const part = type => parts.find(item => item.type === type).value;
+
+    return {
+        date: `${part('year')}-${part('month')}-${part('day')}`,
+        minutes: Number(part('hour')) * 60 + Number(part('minute'))
+    };
+}
+
+/**
+ * Return the Arabic reason a delivery slot can't be booked for an area, or null; mirrors
+ * getDeliveryDays in js/main.js, with the rules from SITE_CONFIG.delivery
+ */
+function checkDeliverySlot(config, slots, date, windowId, area, now = getShopNow(config.hours.timeZone)) {
+    const { daysAhead, holidays, closedWeekdays, sameDayCutoff, windows } = config.delivery;
+    const slot = windows.find(entry => entry.id === windowId);
+    if (!slot || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return 'موعد التوصيل غير صحيح';
+    }
+
+    const lastDay = new Date(`${now.date}T00:00:00Z`);
+    lastDay.setUTCDate(lastDay.getUTCDate() + daysAhead - 1);
+    if (date < now.date || date > lastDay.toISOString().slice(0, 10)) {
+        return 'موعد التوصيل خارج الأيام المتاحة للحجز';
+    }
+
+    if (holidays.some(entry => entry.date === date) || closedWeekdays.includes(new Date(`${date}T00:00:00Z`).getUTCDay())) {
+        return 'لا يوجد توصيل في هذا اليوم';
+    }
+
+    // Today's windows close once the area's shortest lead time can't reach them
+    const leadHours = area ? area.zone.leadHours[0] : Math.min(...config.delivery.zones.map(zone => zone.leadHours[0]));
+    if (date === now.date && (now.minutes >= toMinutes(sameDayCutoff) || now.minutes + leadHours * 60 >= toMinutes(slot.to))) {
+        return 'انتهى موعد هذه الفترة اليوم، يرجى اختيار موعد آخر';
+    }
+
+    if ((slots.booked[`${date}:${windowId}`] || 0) >= (slots.capacity[windowId] || 0)) {
+        return 'هذه الفترة محجوزة بالكامل، يرجى اختيار موعد آخر';
+    }
+    return null;
+}
+
+/**
+ * The places already taken, keyed "YYYY-MM-DD:window"
+ */
+function readBookings() {
+    return fs.existsSync(BOOKINGS_FILE) ? JSON.parse(fs.readFileSync(BOOKINGS_FILE, 'utf8')) : {};
+}
+
+/**
+ * The capacity of each window with the places already taken
+ */
+function readSlots() {
+    return { ...JSON.parse(fs.readFileSync(SLOTS_FILE, 'utf8')), booked: readBookings() };
+}
+
+function bookDeliverySlot(slots, date, windowId) {
+    const key = `${date}:${windowId}`;
+    slots.booked[key] = (slots.booked[key] || 0) + 1;
+    fs.writeFileSync(BOOKINGS_FILE, JSON.stringify(slots.booked, null, 2) + '\n');
+}
+
+function sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'], 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+class PayloadTooLargeError extends Error {
+    constructor() {
+        super(`Request body is over ${MAX_BODY} bytes`);
+        this.name = 'PayloadTooLargeError';
+    }
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY) {
+                // Drain the rest unread so the 413 still reaches the client
+                reject(new PayloadTooLargeError());
+                req.removeAllListeners('data');
+                req.resume();
+            }
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+function handleSubmission(req, res, options) {
+    readBody(req)
+        .then(text => {
+            let payload;
+            try {
+                payload = JSON.parse(text);
+            } catch (error) {
+                return sendJSON(res, 400, { ok: false, error: 'صيغة الطلب غير صحيحة' });
+            }
+
+            const config = readSiteConfig();
+            const error = validateSubmission(payload, config);
+            if (error) {
+                return sendJSON(res, 422, { ok: false, error });
+            }
+
+            const area = payload.form === 'order' ? findDeliveryArea(config.delivery, payload.fields.deliveryArea.trim()) : null;
+            if (area) {
+                const catalog = readCatalog();
+                const unknown = payload.order.items.find(item => !catalog.has(item.id));
+                if (unknown) {
+                    return sendJSON(res, 422, { ok: false, error: `المنتج غير موجود في الكتالوج: ${unknown.id}` });
+                }
+                payload.order = priceOrder(payload.order, area, config.delivery, catalog);
+            }
+
+            // Orders without a booked day go out as soon as possible and take no slot
+            const { deliveryDate, deliverySlot } = payload.fields;
+            const slots = payload.form === 'order' && deliveryDate ? readSlots() : null;
+            if (slots) {
+                const slotError = checkDeliverySlot(config, slots, deliveryDate, deliverySlot, area);
+                if (slotError) {
+                    return sendJSON(res, 409, { ok: false, error: slotError });
+                }
+            }
+
+            if (Math.random() < options.failRate) {
+                console.log(`${payload.form}: simulated failure`);
+                return sendJSON(res, 503, { ok: false, error: 'الخادم مشغول حالياً' });
+            }
+
+            if (slots) {
+                bookDeliverySlot(slots, deliveryDate, deliverySlot);
+            }
+
+            const record = { id: Date.now().toString(36), receivedAt: new Date().toISOString(), ...payload };
+            if (options.log) {
+                fs.appendFileSync(options.log, JSON.stringify(record) + '\n');
+            }
+            console.log(`${payload.form}: ${JSON.stringify(payload.fields)}`);
+            sendJSON(res, 200, { ok: true, id: record.id });
+        })
+        .catch(error => {
+            if (error instanceof PayloadTooLargeError) {
+                return sendJSON(res, 413, { ok: false, error: 'حجم الطلب كبير جداً' });
+            }
+            console.error('Could not handle submission:', error);
+            sendJSON(res, 500, { ok: false, error: 'حدث خطأ في الخادم' });
+        });
+}
+
+/**
+ * Whether a resolved path is one of the site's public files; dotfiles never are
+ */
+function isPublicFile(file) {
+    if (!file.startsWith(ROOT + path.sep)) return false;
+
+    const relative = path.relative(ROOT, file).split(path.sep).join('/');
+    if (relative.split('/').some(part => part.startsWith('.'))) return false;
+
+    return PUBLIC_FILES.includes(relative) || PUBLIC_DIRECTORIES.some(directory => relative.startsWith(directory));
+}
+
+function serveStatic(req, res) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Bad request');
+        return;
+    }
+
+    const file = path.join(ROOT, pathname === '/' ? 'index.html' : pathname);
+
+    if (!isPublicFile(file) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Not found');
+        return;
+    }
+
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream' });
+    fs.createReadStream(file).pipe(res);
+}
+
+function parseArgs(argv) {
+    const options = { port: 8080, log: null, failRate: 0, delay: 0 };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--port') {
+            options.port = Number(argv[++i]);
+        } else if (arg === '--log') {
+            options.log = path.resolve(argv[++i]);
+        } else if (arg === '--fail-rate') {
+            options.failRate = Number(argv[++i]);
+        } else if (arg === '--delay') {
+            options.delay = Number(argv[++i]);
+        } else {
+            throw new Error(`Unexpected argument "${arg}"`);
+        }
+    }
+
+    if (!Number.isInteger(options.port) || !(options.failRate >= 0 && options.failRate <= 1) || !(options.delay >= 0)) {
+        throw new Error('Usage: node tools/form-server.js [--port <n>] [--log <file>] [--fail-rate <0..1>] [--delay <ms>]');
+    }
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    const server = http.createServer((req, res) => {
+        const pathname = req.url.split('?')[0];
+        if (pathname === BOOKINGS_ENDPOINT) {
+            sendJSON(res, 200, readBookings());
+        } else if (pathname !== ENDPOINT) {
+            serveStatic(req, res);
+        } else if (req.method !== 'POST') {
+            res.setHeader('Allow', 'POST');
+            sendJSON(res, 405, { ok: false, error: 'طريقة الطلب غير مدعومة' });
+        } else {
+            setTimeout(() => handleSubmission(req, res, options), options.delay);
+        }
+    });
+
+    server.listen(options.port, () => {
+        console.log(`Serving ${ROOT} on http://localhost:${options.port} (submissions: POST ${ENDPOINT})`);
+    });
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,491 @@
+#!/usr/bin/env node
+/**
+ * AL FAHD SEAFOOD - CATALOG IMPORT TOOL
+ * Validates a supplier price sheet (CSV, or XLSX saved as CSV) and writes the
+ * catalog files the products page reads: data/catalog.json and js/products-data.js.
+ *
+ * Usage:
+ *   node tools/import-catalog.js <sheet.csv> [options]
+ *
+ * Options:
+ *   --previous <file>   Catalog to compare against and take ids/groups from
+ *                       (default: data/catalog.json, then js/products-data.js)
+ *   --version <name>    Version stamped on the new catalog (default: today's date)
+ *   --json <file>       JSON output (default: data/catalog.json)
+ *   --js <file>         Bundled JS output (default: js/products-data.js)
+ *   --dry-run           Validate and print the report without writing anything
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseCSV } = require('../js/csv.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Keep these in step with CATALOG_CATEGORIES, PRODUCT_UNITS and AVAILABILITY_STATUSES in js/main.js
+const CATEGORIES = ['fish', 'shrimp', 'crab', 'squid', 'other'];
+const UNITS = ['kg', 'box', 'piece', 'pack'];
+const AVAILABILITY = ['in-stock', 'limited', 'out-of-stock'];
+
+// Output field order; matches the column order of the spreadsheet where both have a field
+const PRODUCT_FIELDS = [
+    'id', 'name', 'category', 'price', 'unit', 'minQuantity', 'step', 'priceTiers',
+    'image', 'gallery', 'availability', 'season', 'group', 'variant', 'priceHistory'
+];
+
+const JS_HEADER = `// Bundled product catalog; the products page prefers the data/catalog.json feed
+// (CONFIG.catalogURL) and falls back to this copy when the feed can't be loaded.
+// - \`id\` is the stable slug used in product links (products.html?p=<id>); never change it once published.
+// - Prices are per unit; \`unit\` is one of the PRODUCT_UNITS keys in main.js (kg when omitted),
+//   with optional \`minQuantity\` and \`step\` overrides.
+// - \`priceTiers\` lists volume price breaks ({ from, price }, \`from\` in the product's unit);
+//   the list price applies below the first one.
+// - \`image\` is the card thumbnail and \`gallery\` lists extra quick-view photos; products
+//   without photos fall back to their category image.
+// - \`availability\` is one of the AVAILABILITY_STATUSES keys in main.js (in stock when omitted);
+//   \`season\` ({ from, to } as "MM-DD") limits ordering to a yearly window.
+// - \`group\` and \`variant\` tie a row to one of the productGroups below.
+// - \`priceHistory\` lists dated prices, oldest first, ending with the current one.`;
+
+const JS_GROUPS_HEADER = `// Variant groups: rows sharing a \`group\` render as one card whose \`variant\` options
+// (listed in \`options\`, in picker order) select the row that gets ordered.`;
+
+// ==========================================================================
+// ARABIC SPELLING
+// ==========================================================================
+
+/**
+ * Latin digits for the Arabic-Indic ones supplier sheets often use in numbers
+ */
+function toLatinDigits(text = '') {
+    return String(text)
+        .replace(/[٠-٩]/g, digit => digit.charCodeAt(0) - 0x0660)
+        .replace(/[۰-۹]/g, digit => digit.charCodeAt(0) - 0x06F0);
+}
+
+/**
+ * Clean up a name for display: no tashkeel or tatweel, Latin digits, and the
+ * catalog's word-final "ى" spelling (so "جمبري" and "جمبرى" don't both appear)
+ */
+function normalizeSpelling(text = '') {
+    return toLatinDigits(text)
+        .replace(/[\u064B-\u065F\u0670\u0640]/g, '')
+        .replace(/ي(?=\s|$)/g, 'ى')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Spelling-insensitive key used to spot the same product written two ways
+ * (same folding as normalizeArabic in js/main.js)
+ */
+function matchKey(text = '') {
+    return normalizeSpelling(text)
+        .replace(/[أإآٱ]/g, 'ا')
+        .replace(/[ىئ]/g, 'ي')
+        .replace(/ؤ/g, 'و')
+        .replace(/ة/g, 'ه')
+        .toLowerCase();
+}
+
+// ==========================================================================
+// READING
+// ==========================================================================
+
+/**
+ * Load the catalog being replaced, from either the JSON feed or the bundled JS file
+ */
+function readCatalog(file) {
+    if (!file || !fs.existsSync(file)) return null;
+
+    const source = fs.readFileSync(file, 'utf8');
+    if (file.endsWith('.json')) {
+        const data = JSON.parse(source);
+        return Array.isArray(data)
+            ? { version: null, products: data, groups: [] }
+            : { version: data.version || null, products: data.products || [], groups: data.groups || [] };
+    }
+
+    // products-data.js only declares globals, so evaluate it and pick them up
+    const { products, groups } = new Function(`${source}
+        return {
+            products: typeof productsData !== 'undefined' ? productsData : [],
+            groups: typeof productGroups !== 'undefined' ? productGroups : []
+        };`)();
+    return { version: null, products, groups };
+}
+
+/**
+ * Turn one sheet row into a product, collecting every problem found on the way
+ */
+function parseRow(cells, columns) {
+    const product = {};
+    const errors = [];
+    const value = column => (cells[columns.indexOf(column)] || '').trim();
+
+    columns.forEach(column => {
+        const raw = value(column);
+        // Price history is kept by this tool, never typed into the sheet
+        if (!raw || !PRODUCT_FIELDS.includes(column) || column === 'priceHistory') return;
+
+        switch (column) {
+            case 'name':
+                product.name = raw.replace(/\s+/g, ' ');
+                break;
+            case 'price':
+            case 'minQuantity':
+            case 'step': {
+                const number = Number(toLatinDigits(raw).replace(/,/g, ''));
+                if (!(number > 0)) errors.push(`${column} "${raw}" must be a positive number`);
+                product[column] = number;
+                break;
+            }
+            case 'priceTiers': {
+                // Written as "10=360|50=340": from 10 units the price is 360, from 50 it's 340
+                const tiers = raw.split('|').map(pair => pair.split('=').map(part => Number(toLatinDigits(part))));
+                if (tiers.some(tier => tier.length !== 2 || !(tier[0] > 0) || !(tier[1] > 0))) {
+                    errors.push(`priceTiers "${raw}" must look like "10=360|50=340"`);
+                } else if (tiers.some((tier, index) => index > 0 && tier[0] <= tiers[index - 1][0])) {
+                    errors.push(`priceTiers "${raw}" must list quantities from smallest to largest`);
+                }
+                product.priceTiers = tiers.map(([from, price]) => ({ from, price }));
+                break;
+            }
+            case 'gallery':
+                product.gallery = raw.split('|').map(item => item.trim()).filter(Boolean);
+                break;
+            case 'variant': {
+                const pairs = raw.split('|').map(pair => pair.split('=').map(part => part.trim()));
+                if (pairs.some(pair => pair.length !== 2 || !pair[0] || !pair[1])) {
+                    errors.push(`variant "${raw}" must look like "cut=قشر|size=20/16"`);
+                }
+                product.variant = Object.fromEntries(pairs);
+                break;
+            }
+            case 'season': {
+                const [from, to] = raw.split('..').map(part => part.trim());
+                if (![from, to].every(day => /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/.test(day || ''))) {
+                    errors.push(`season "${raw}" must look like "03-01..05-15"`);
+                }
+                product.season = { from, to };
+                break;
+            }
+            default:
+                product[column] = raw;
+        }
+    });
+
+    if (!product.name) errors.push('name is required');
+    if (!CATEGORIES.includes(product.category)) {
+        errors.push(`category "${product.category || ''}" is not one of ${CATEGORIES.join(', ')}`);
+    }
+    if (product.price === undefined) errors.push('price is required');
+    if (product.priceTiers && product.priceTiers.some(tier => tier.price >= product.price)) {
+        errors.push('every price tier must be cheaper than the list price');
+    }
+    if (product.unit && !UNITS.includes(product.unit)) {
+        errors.push(`unit "${product.unit}" is not one of ${UNITS.join(', ')}`);
+    }
+    if (product.availability && !AVAILABILITY.includes(product.availability)) {
+        errors.push(`availability "${product.availability}" is not one of ${AVAILABILITY.join(', ')}`);
+    }
+
+    return { product, errors };
+}
+
+// ==========================================================================
+// VALIDATION
+// ==========================================================================
+
+/**
+ * Carry a product's price history over from the previous catalog, recording a new
+ * entry dated `date` when the price changed. Products without a history start one
+ * from their old price, dated with the previous catalog version when that is a date.
+ */
+function updatePriceHistory(product, previousProduct, date, previousDate) {
+    if (!previousProduct) return undefined;
+
+    const changed = previousProduct.price !== product.price;
+    if (!previousProduct.priceHistory && !changed) return undefined;
+
+    const history = previousProduct.priceHistory
+        ? [...previousProduct.priceHistory]
+        : [{ date: previousDate, price: previousProduct.price }];
+
+    if (changed) {
+        history.push({ date, price: product.price });
+    }
+    return history;
+}
+
+/**
+ * Parse and validate the whole sheet; ids missing from the sheet are carried over
+ * from the previous catalog by (normalized) name. Names are normalized unless the
+ * previous catalog spells the same product another way, which is kept; every name
+ * that differs from the sheet is listed in `renamed`.
+ */
+function importSheet(text, previous, date) {
+    const [header = [], ...rows] = parseCSV(text.replace(/^\uFEFF/, ''));
+    const columns = header.map(column => column.trim());
+
+    const missing = ['name', 'category', 'price'].filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+        return { products: [], renamed: [], errors: [`header: missing the ${missing.join(', ')} column(s)`] };
+    }
+
+    const previousIds = new Map((previous ? previous.products : []).map(product => [matchKey(product.name), product.id]));
+    const previousProducts = new Map((previous ? previous.products : []).map(product => [product.id, product]));
+    const previousDate = previous && /^\d{4}-\d{2}-\d{2}$/.test(previous.version) ? previous.version : null;
+    const groups = new Map((previous ? previous.groups : []).map(group => [group.id, group]));
+    const seenIds = new Map();
+    const seenNames = new Map();
+    const products = [];
+    const renamed = [];
+    const errors = [];
+
+    rows.forEach((cells, index) => {
+        // Row numbers as the spreadsheet shows them (the header is row 1)
+        const rowNumber = index + 2;
+        if (!cells.some(cell => cell.trim())) return;
+
+        const { product, errors: rowErrors } = parseRow(cells, columns);
+        const key = matchKey(product.name);
+
+        if (!product.id && previousIds.has(key)) {
+            product.id = previousIds.get(key);
+        }
+        if (product.name) {
+            const previousProduct = previousProducts.get(product.id);
+            const name = previousProduct && matchKey(previousProduct.name) === key
+                ? previousProduct.name
+                : normalizeSpelling(product.name);
+            if (name !== product.name) {
+                renamed.push({ row: rowNumber, from: product.name, to: name });
+                product.name = name;
+            }
+        }
+
+        if (!product.id) {
+            rowErrors.push('new product needs an id (a short English slug such as "shrimp-shell-20-16")');
+        } else if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(product.id)) {
+            rowErrors.push(`id "${product.id}" may only use lowercase letters, digits and dashes`);
+        }
+
+        if (product.name && seenNames.has(key)) {
+            rowErrors.push(`duplicate of row ${seenNames.get(key)} ("${product.name}")`);
+        }
+        if (product.id && seenIds.has(product.id)) {
+            rowErrors.push(`id "${product.id}" is already used on row ${seenIds.get(product.id)}`);
+        }
+
+        if (product.group) {
+            const group = groups.get(product.group);
+            if (!group) {
+                rowErrors.push(`group "${product.group}" is not defined in the previous catalog`);
+            } else if (!Array.isArray(group.options) || group.options.length === 0) {
+                rowErrors.push(`group "${group.id}" has no options`);
+            } else if (!product.variant) {
+                rowErrors.push(`grouped products need a variant (options: ${group.options.join(', ')})`);
+            } else {
+                const unknown = Object.keys(product.variant).filter(option => !group.options.includes(option));
+                if (unknown.length > 0) {
+                    rowErrors.push(`variant option(s) ${unknown.join(', ')} are not used by group "${group.id}"`);
+                }
+            }
+        }
+
+        if (product.name) seenNames.set(key, rowNumber);
+        if (product.id) seenIds.set(product.id, rowNumber);
+
+        if (rowErrors.length > 0) {
+            errors.push(...rowErrors.map(error => `row ${rowNumber} (${product.name || '?'}): ${error}`));
+        } else {
+            product.priceHistory = updatePriceHistory(product, previousProducts.get(product.id), date, previousDate);
+            products.push(orderFields(product));
+        }
+    });
+
+    return { products, groups: [...groups.values()], renamed, errors };
+}
+
+/**
+ * Rebuild a product with its fields in the canonical output order
+ */
+function orderFields(product) {
+    return Object.fromEntries(PRODUCT_FIELDS
+        .filter(field => product[field] !== undefined)
+        .map(field => [field, product[field]]));
+}
+
+// ==========================================================================
+// PRICE REPORT
+// ==========================================================================
+
+/**
+ * Compare the new catalog with the previous one: price changes, additions and removals
+ */
+function diffCatalogs(previous, products) {
+    const before = new Map((previous ? previous.products : []).map(product => [product.id, product]));
+    const after = new Map(products.map(product => [product.id, product]));
+
+    return {
+        changed: products
+            .filter(product => before.has(product.id) && before.get(product.id).price !== product.price)
+            .map(product => ({ product, from: before.get(product.id).price, to: product.price })),
+        added: products.filter(product => !before.has(product.id)),
+        removed: [...before.values()].filter(product => !after.has(product.id))
+    };
+}
+
+function formatReport(diff, previousVersion, version) {
+    const lines = [`Catalog ${previousVersion || '(unversioned)'} -> ${version}`];
+    const percent = (from, to) => `${to > from ? '+' : ''}${(((to - from) / from) * 100).toFixed(1)}%`;
+
+    lines.push('', `Price changes (${diff.changed.length}):`);
+    diff.changed.forEach(({ product, from, to }) => {
+        lines.push(`  ${to > from ? '▲' : '▼'} ${product.id}  ${product.name}  ${from} -> ${to} (${percent(from, to)})`);
+    });
+
+    lines.push('', `Added (${diff.added.length}):`);
+    diff.added.forEach(product => lines.push(`  + ${product.id}  ${product.name}  ${product.price}`));
+
+    lines.push('', `Removed (${diff.removed.length}):`);
+    diff.removed.forEach(product => lines.push(`  - ${product.id}  ${product.name}  ${product.price}`));
+
+    lines.push('', `Renamed (${diff.renamed.length}):`);
+    diff.renamed.forEach(({ row, from, to }) => lines.push(`  ~ row ${row}  ${from} -> ${to}`));
+
+    return lines.join('\n');
+}
+
+// ==========================================================================
+// WRITING
+// ==========================================================================
+
+/**
+ * Write a value as compact single-line JSON with a space after each separator
+ */
+function toJSONLiteral(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(toJSONLiteral).join(', ')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.entries(value).map(([key, item]) => `${JSON.stringify(key)}: ${toJSONLiteral(item)}`).join(', ')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * One catalog entry per line, so price list updates diff cleanly
+ */
+function toJSON(catalog) {
+    const entry = item => `    ${toJSONLiteral(item)}`;
+
+    return [
+        '{',
+        `  "version": ${JSON.stringify(catalog.version)},`,
+        '  "products": [',
+        catalog.products.map(entry).join(',\n'),
+        '  ],',
+        '  "groups": [',
+        catalog.groups.map(entry).join(',\n'),
+        '  ]',
+        '}',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Write a value as a JS literal in the style of js/products-data.js
+ */
+function toJSLiteral(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(toJSLiteral).join(', ')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{ ${Object.entries(value).map(([key, item]) => `${key}: ${toJSLiteral(item)}`).join(', ')} }`;
+    }
+    return JSON.stringify(value);
+}
+
+function toJS(catalog) {
+    return [
+        JS_HEADER,
+        'const productsData = [',
+        catalog.products.map(product => `  ${toJSLiteral(product)}`).join(',\n'),
+        '];',
+        '',
+        JS_GROUPS_HEADER,
+        'const productGroups = [',
+        catalog.groups.map(group => `  ${toJSLiteral(group)}`).join(',\n'),
+        '];',
+        ''
+    ].join('\n');
+}
+
+// ==========================================================================
+// COMMAND LINE
+// ==========================================================================
+
+function parseArgs(argv) {
+    const options = {
+        input: null,
+        previous: null,
+        version: null,
+        json: path.join(ROOT, 'data/catalog.json'),
+        js: path.join(ROOT, 'js/products-data.js'),
+        dryRun: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (['--previous', '--version', '--json', '--js'].includes(arg)) {
+            options[arg.slice(2)] = argv[++i];
+        } else if (!options.input) {
+            options.input = arg;
+        } else {
+            throw new Error(`Unexpected argument "${arg}"`);
+        }
+    }
+
+    if (!options.input) {
+        throw new Error('Usage: node tools/import-catalog.js <sheet.csv> [--previous <file>] [--version <name>] [--json <file>] [--js <file>] [--dry-run]');
+    }
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const previousFile = options.previous || [options.json, options.js].find(file => fs.existsSync(file));
+    const previous = readCatalog(previousFile);
+
+    const today = new Date().toISOString().slice(0, 10);
+    const version = options.version || today;
+    // New price history entries are dated with the catalog version when that is a date, as old ones are
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(version) ? version : today;
+    const { products, groups, renamed, errors } = importSheet(fs.readFileSync(options.input, 'utf8'), previous, date);
+    if (errors.length > 0) {
+        console.error(`${options.input}: ${errors.length} problem(s), nothing was written:`);
+        errors.forEach(error => console.error(`  ${error}`));
+        process.exitCode = 1;
+        return;
+    }
+
+    const catalog = { version: version, products, groups };
+    console.log(formatReport({ ...diffCatalogs(previous, products), renamed }, previous && previous.version, catalog.version));
+
+    if (options.dryRun) return;
+
+    fs.writeFileSync(options.json, toJSON(catalog));
+    fs.writeFileSync(options.js, toJS(catalog));
+    console.log(`\nWrote ${products.length} products to ${path.relative(ROOT, options.json)} and ${path.relative(ROOT, options.js)}`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}